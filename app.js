@@ -2,21 +2,38 @@
 // RCI = mean(top N) − std_pop(top N). Female ITRA scores normalized via quadratic.
 
 const MAX_INDEX_FOR_NORM = 1000;
+const AUC_DEFAULT_RANK = 50;
+// RCI formula: centre(top N) − k · dispersion(top N). `n` adds one custom-N column;
+// `trimTop` drops the single best score before taking the top N.
+const DEFAULT_RCI_FORMULA = Object.freeze({ n: null, k: 1, trimTop: false, center: "mean" });
 const TAB_ALLOWLIST = {
-  public: ["rcinormcharts", "trends", "visualization", "charts"],
-  admin: ["import", "races"]
+  public: ["rcinormcharts", "trends", "series", "visualization", "charts", "lorenz", "heatmap", "nations", "compare", "runners"],
+  admin: ["import", "races", "identities"],
+  embed: ["trends", "rcinormcharts", "card"],
+  report: ["report"]
 };
 const DEFAULT_TAB_BY_MODE = {
   public: "rcinormcharts",
-  admin: "import"
+  admin: "import",
+  embed: "trends",
+  report: "report"
 };
 const PARITY_N_LEVELS = [5, 10, 20];
+// Score scales. The ITRA performance index and the UTMB Index are not interchangeable:
+// each edition carries one, and single results may override it when a file mixes both.
+const SCORE_TYPES = ["itra", "utmb"];
+const DEFAULT_SCORE_TYPE = "itra";
+const SCORE_TYPE_LABELS = { itra: "ITRA", utmb: "UTMB Index" };
 
 function getAppContext() {
   const path = window.location.pathname || "/";
   const isAdmin =
     path === "/admin" || path === "/admin/" ||
     path.endsWith("/admin/index.html") || path.endsWith("/admin");
+  const isEmbed = path.endsWith("/embed") || path.endsWith("/embed/") || path.endsWith("/embed/index.html");
+  if (isEmbed) return { mode: "embed", assetPrefix: "../" };
+  const isReport = path.endsWith("/report") || path.endsWith("/report/") || path.endsWith("/report/index.html");
+  if (isReport) return { mode: "report", assetPrefix: "../" };
   return { mode: isAdmin ? "admin" : "public", assetPrefix: isAdmin ? "../" : "" };
 }
 
@@ -47,20 +64,66 @@ const T = {
     filterCountry: "Pays", filterRaces: "Courses", filterSearch: "Rechercher…",
     filterAll: "Tout", filterNone: "Aucun", editionsLabel: "Éditions",
     rciSubtitle: "Indice de Compétitivité en Trail — moyenne moins écart-type des indices des meilleurs finishers. Plus élevé signifie un plateau plus fort et plus homogène.",
-    rciWomen: "Femmes", rciMen: "Hommes", rciToggleExtra: "+ RCI3 & RCI20",
-    rciExportWomen: "↓ CSV Femmes", rciExportMen: "↓ CSV Hommes",
+    rciWomen: "Femmes", rciMen: "Hommes", rciToggleExtra: "+ RCI3, RCI20 & Gini", rciToggleExtraHide: "− RCI3, RCI20 & Gini",
+    rciExportWomen: "↓ CSV Femmes", rciExportMen: "↓ CSV Hommes", resultsExport: "↓ Résultats…",
+    ciToggle: "± IC 90 %",
+    scoreConversion: "UTMB → ITRA",
+    mixedScoreTypes: "La sélection mélange des types de score ({types}) : les RCI ne sont pas comparables. Restreignez la sélection ou activez la conversion UTMB → ITRA.",
+    rciFormula: "ƒ Formule", rciFormulaN: "N personnalisé", rciFormulaK: "Poids de dispersion k",
+    rciFormulaTrim: "Exclure le meilleur score", rciFormulaCenter: "Centre / dispersion",
+    rciFormulaMean: "Moyenne − k·σ", rciFormulaMedian: "Médiane − k·MAD", rciFormulaReset: "Par défaut",
     rciColRace: "Course", rciColCountry: "Pays", rciColSeries: "Séries",
     rciEmptyTitle: "Commencez par choisir des courses",
     rciEmptyHint: "Sélectionnez des éditions pour afficher le classement RCI",
     trendsSubtitle: "Évolution de la densité du plateau d'une course au fil des éditions.",
     trendsSelect: "Sélectionnez une course dans la liste.",
-    trendsSearchRaces: "Rechercher…", yearCol: "Année",
+    trendsSearchRaces: "Rechercher…", yearCol: "Année", trendsProjected: "projeté",
     trendsGenderBoth: "Les deux", trendsGenderWomen: "Femmes", trendsGenderMen: "Hommes",
     paritySubtitle: "Où le plateau féminin est relativement plus fort ou plus faible que le plateau masculin, sur une même course — dernière édition de chacune.",
     parityLegendWomen: "Champ féminin plus fort", parityLegendMen: "Champ masculin plus fort",
     depthSubtitle: "Indice par rang d'arrivée, pour les éditions sélectionnées — vitesse à laquelle le peloton s'amenuise.",
     depthGender: "Genre", depthBoth: "Les deux", depthMen: "Hommes", depthWomen: "Femmes",
     depthEmptyMsg: "Sélectionnez des éditions pour tracer leurs courbes de profondeur.",
+    tabLorenz: "Inégalité",
+    tabRunners: "Coureurs",
+    runnersSubtitle: "Historique d'un coureur sur toutes les éditions importées : rang, indice et contribution au RCI de chaque course.",
+    runnersSearch: "Nom du coureur…", runnersSelect: "Cherchez un coureur puis sélectionnez-le.",
+    runnersNoMatch: "Aucun coureur trouvé.", runnersFinishes: "arrivées",
+    runnerColRace: "Course", runnerColRank: "Rang", runnerColGenderRank: "Rang genre",
+    runnerColIndex: "Indice", runnerColType: "Score", runnerColContribution: "Δ RCI10",
+    runnerContributionHint: "Écart du RCI10 de la course si ce coureur n'avait pas terminé",
+    lorenzSubtitle: "Courbes de Lorenz des indices de tous les finishers — plus la courbe s'écarte de la diagonale, plus le plateau est concentré sur quelques coureurs. Gini : 0 = plateau parfaitement homogène.",
+    lorenzEqual: "Égalité parfaite", lorenzShareRunners: "Part des finishers (du plus faible au plus fort)", lorenzShareIndex: "Part cumulée de l'indice",
+    lorenzColEdition: "Édition", lorenzFinishers: "Finishers",
+    tabHeatmap: "Déciles",
+    heatmapSubtitle: "Indice moyen par tranche du classement (par genre) — un plateau fort seulement en tête pâlit vite vers la droite ; un plateau profond reste foncé.",
+    heatmapDeciles: "Déciles", heatmapBands: "Tranches de rang",
+    heatmapEmpty: "Sélectionnez des éditions pour afficher la carte.",
+    tabNations: "Nationalités",
+    nationsSubtitle: "Répartition par nationalité des N premiers finishers de chaque édition. Le losange donne la part de coureurs du pays de la course : haut = plateau local, bas = plateau international.",
+    nationsShare: "Part du top N", nationsOther: "Autres", nationsLocalShare: "Part de locaux",
+    nationsCountry: "Pays", nationsCount: "Nations", nationsLeading: "1re nationalité",
+    nationsEmpty: "Sélectionnez des éditions pour afficher leur composition.",
+    tabSeries: "Circuits",
+    seriesSubtitle: "RCI agrégé par circuit et par année, sur toutes les éditions rattachées à un circuit (une édition de plusieurs circuits compte pour chacun). Classement par moyenne toutes années confondues.",
+    seriesAllYears: "Toutes années", seriesEditions: "Éditions", seriesMean: "Moyenne", seriesMedian: "Médiane",
+    seriesBest: "Meilleure édition", seriesEmpty: "Aucune édition rattachée à un circuit.",
+    tabCompare: "Duel",
+    compareSubtitle: "Deux éditions côte à côte, pour un genre : courbes de profondeur, écart de RCI à chaque N, top 20 avec les coureurs communs, et test de permutation sur l'écart des moyennes du top N.",
+    compareSwap: "⇄ Inverser", compareEmpty: "Choisissez deux éditions différentes.",
+    compareAction: "Comparer avec une autre édition",
+    compareDiff: "RCI A − RCI B selon N", compareMetric: "Mesure", compareTopMean: "Moyenne du top {n}",
+    compareTest: "Test de permutation ({iterations} tirages) sur la moyenne du top {n} : Δ = {diff}, p = {p}",
+    compareSignificant: "écart significatif au seuil de 5 %", compareNotSignificant: "écart non significatif au seuil de 5 %",
+    compareShared: "{n} coureur(s) présents dans les deux top {top}", compareRunner: "Coureur",
+    exportLabel: "Exporter", exportSource: "Source :", exportEditions: "éditions",
+    exportNothing: "Rien à exporter : le graphe est vide.",
+    reportOpen: "Rapport de l'édition", reportPrint: "Imprimer / PDF", reportNotFound: "Édition introuvable.", reportError: "Impossible de charger le rapport :",
+    reportEdition: "Édition", reportDistance: "Distance", reportElevation: "D+", reportScoreType: "Type de score",
+    reportFinishers: "Finishers", reportRci: "RCI selon N", reportRanking: "Rang parmi {of} éditions ({type})", reportRank: "Rang",
+    reportRankOf: "{rank}e / {of}", reportDepth: "Profondeur", reportNations: "Nationalités du top {n}",
+    reportTop: "Top {n}", reportTrend: "Évolution", reportGenerated: "Généré le {date} · Trail Density",
+    embedOpen: "Voir sur Trail Density ↗", embedNotFound: "Édition introuvable.", embedFinishers: "Finishers",
     admin: "Admin →",
   },
   en: {
@@ -72,20 +135,66 @@ const T = {
     filterCountry: "Country", filterRaces: "Races", filterSearch: "Search…",
     filterAll: "All", filterNone: "None", editionsLabel: "Editions",
     rciSubtitle: "Race Competitiveness Index — mean minus standard deviation of the top finishers' index scores. Higher means a stronger, more even field.",
-    rciWomen: "Women", rciMen: "Men", rciToggleExtra: "+ RCI3 & RCI20",
-    rciExportWomen: "↓ Women CSV", rciExportMen: "↓ Men CSV",
+    rciWomen: "Women", rciMen: "Men", rciToggleExtra: "+ RCI3, RCI20 & Gini", rciToggleExtraHide: "− RCI3, RCI20 & Gini",
+    rciExportWomen: "↓ Women CSV", rciExportMen: "↓ Men CSV", resultsExport: "↓ Results…",
+    ciToggle: "± 90% CI",
+    scoreConversion: "UTMB → ITRA",
+    mixedScoreTypes: "The selection mixes score types ({types}): their RCIs are not comparable. Narrow the selection or turn on the UTMB → ITRA conversion.",
+    rciFormula: "ƒ Formula", rciFormulaN: "Custom N", rciFormulaK: "Dispersion weight k",
+    rciFormulaTrim: "Drop the top score", rciFormulaCenter: "Centre / dispersion",
+    rciFormulaMean: "Mean − k·σ", rciFormulaMedian: "Median − k·MAD", rciFormulaReset: "Default",
     rciColRace: "Race", rciColCountry: "Country", rciColSeries: "Series",
     rciEmptyTitle: "Start by choosing races",
     rciEmptyHint: "Select editions to display the RCI ranking",
     trendsSubtitle: "How a race's field strength has evolved across editions.",
     trendsSelect: "Select a race from the list.",
-    trendsSearchRaces: "Search…", yearCol: "Year",
+    trendsSearchRaces: "Search…", yearCol: "Year", trendsProjected: "projected",
     trendsGenderBoth: "Both", trendsGenderWomen: "Women", trendsGenderMen: "Men",
     paritySubtitle: "Where women's fields are relatively stronger or weaker than men's — latest edition of each race.",
     parityLegendWomen: "Women's field stronger", parityLegendMen: "Men's field stronger",
     depthSubtitle: "Index score by finishing rank — how quickly the field thins out.",
     depthGender: "Gender", depthBoth: "Both", depthMen: "Men", depthWomen: "Women",
     depthEmptyMsg: "Select editions (top bar) to plot their depth curves.",
+    tabLorenz: "Inequality",
+    tabRunners: "Runners",
+    runnersSubtitle: "One runner's history across every imported edition: rank, index and contribution to each race's RCI.",
+    runnersSearch: "Runner name…", runnersSelect: "Search for a runner, then pick one.",
+    runnersNoMatch: "No runner found.", runnersFinishes: "finishes",
+    runnerColRace: "Race", runnerColRank: "Rank", runnerColGenderRank: "Gender rank",
+    runnerColIndex: "Index", runnerColType: "Score", runnerColContribution: "Δ RCI10",
+    runnerContributionHint: "How much the race's RCI10 would drop without this runner",
+    lorenzSubtitle: "Lorenz curves of every finisher's index — the further a curve sags below the diagonal, the more a field's strength sits with a few runners. Gini: 0 = perfectly even field.",
+    lorenzEqual: "Perfect equality", lorenzShareRunners: "Share of finishers (weakest to strongest)", lorenzShareIndex: "Cumulative share of index",
+    lorenzColEdition: "Edition", lorenzFinishers: "Finishers",
+    tabHeatmap: "Deciles",
+    heatmapSubtitle: "Mean index per slice of the finishing order (within gender) — a field that is only strong at the top fades quickly to the right; a deep field stays dark.",
+    heatmapDeciles: "Deciles", heatmapBands: "Rank bands",
+    heatmapEmpty: "Select editions to display the heatmap.",
+    tabNations: "Nationalities",
+    nationsSubtitle: "Nationality breakdown of each edition's top N finishers. The diamond marks the share of runners from the race's country: high = domestic field, low = international field.",
+    nationsShare: "Share of top N", nationsOther: "Other", nationsLocalShare: "Local share",
+    nationsCountry: "Country", nationsCount: "Nations", nationsLeading: "Top nationality",
+    nationsEmpty: "Select editions to display their composition.",
+    tabSeries: "Circuits",
+    seriesSubtitle: "RCI aggregated per circuit and year, over every edition tagged with a circuit (an edition in several circuits counts for each). Ranked by the all-years mean.",
+    seriesAllYears: "All years", seriesEditions: "Editions", seriesMean: "Mean", seriesMedian: "Median",
+    seriesBest: "Best edition", seriesEmpty: "No edition is tagged with a circuit.",
+    tabCompare: "Head-to-head",
+    compareSubtitle: "Two editions side by side for one gender: depth curves, RCI difference at every N, each top 20 with shared runners highlighted, and a permutation test on the difference in top-N means.",
+    compareSwap: "⇄ Swap", compareEmpty: "Pick two different editions.",
+    compareAction: "Compare with another edition",
+    compareDiff: "RCI A − RCI B by N", compareMetric: "Metric", compareTopMean: "Top {n} mean",
+    compareTest: "Permutation test ({iterations} draws) on the top {n} mean: Δ = {diff}, p = {p}",
+    compareSignificant: "significant at the 5% level", compareNotSignificant: "not significant at the 5% level",
+    compareShared: "{n} runner(s) in both top {top}s", compareRunner: "Runner",
+    exportLabel: "Export", exportSource: "Source:", exportEditions: "editions",
+    exportNothing: "Nothing to export: the chart is empty.",
+    reportOpen: "Edition report", reportPrint: "Print / PDF", reportNotFound: "Edition not found.", reportError: "Could not load the report:",
+    reportEdition: "Edition", reportDistance: "Distance", reportElevation: "Elevation gain", reportScoreType: "Score type",
+    reportFinishers: "Finishers", reportRci: "RCI by N", reportRanking: "Rank among {of} editions ({type})", reportRank: "Rank",
+    reportRankOf: "#{rank} / {of}", reportDepth: "Depth", reportNations: "Top {n} nationalities",
+    reportTop: "Top {n}", reportTrend: "Trend", reportGenerated: "Generated on {date} · Trail Density",
+    embedOpen: "Open in Trail Density ↗", embedNotFound: "Edition not found.", embedFinishers: "Finishers",
     admin: "Admin →",
   }
 };
@@ -123,11 +232,57 @@ function stdPop(arr) {
   return Math.sqrt(v);
 }
 
+// Gini coefficient of positive values: 0 = all equal, → 1 = concentrated in one value.
+function gini(values) {
+  const xs = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const n = xs.length;
+  const total = xs.reduce((s, x) => s + x, 0);
+  if (!n || total <= 0) return NaN;
+  const weighted = xs.reduce((s, x, i) => s + (i + 1) * x, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+// Lorenz curve points (cumulative share of runners vs cumulative share of total value).
+function lorenzCurve(values) {
+  const xs = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const total = xs.reduce((s, x) => s + x, 0);
+  const curve = { x: [0], y: [0] };
+  if (!xs.length || total <= 0) return curve;
+  let acc = 0;
+  xs.forEach((v, i) => {
+    acc += v;
+    curve.x.push((i + 1) / xs.length);
+    curve.y.push(acc / total);
+  });
+  return curve;
+}
+
+function median(arr) {
+  if (!arr.length) return NaN;
+  const xs = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+// Median absolute deviation, scaled by 1.4826 so it matches σ on normal data and
+// the dispersion weight k means the same thing for both centres.
+function madScaled(arr) {
+  if (!arr.length) return NaN;
+  const m = median(arr);
+  return 1.4826 * median(arr.map(x => Math.abs(x - m)));
+}
+
 function fmt(n, digits = 1) {
   if (!Number.isFinite(n)) return "-";
   return n.toFixed(digits);
 }
 
+// Free text from results (runner names, nationalities) comes from scraped pages and
+// pasted files: escape it before it goes into an HTML template.
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
 function normalizeSeries(value) {
   if (Array.isArray(value)) return value.filter(Boolean).map(v => String(v));
   if (typeof value === "string" && value.trim()) return [value.trim()];
@@ -137,8 +292,8 @@ function normalizeSeries(value) {
 function normalizeGenderLabel(value) {
   if (!value) return null;
   const lower = value.toString().trim().toLowerCase();
-  if (["m", "men", "man", "male", "homme", "h"].includes(lower)) return "male";
-  if (["f", "women", "woman", "female", "femme", "w"].includes(lower)) return "female";
+  if (["m", "men", "man", "male", "homme", "h", "男", "男子"].includes(lower)) return "male";
+  if (["f", "women", "woman", "female", "femme", "w", "女", "女子"].includes(lower)) return "female";
   return null;
 }
 
@@ -166,6 +321,22 @@ function densityColor(value, min, max) {
   return `background:oklch(${l} ${c} 45);`;
 }
 
+function normalizeScoreType(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return null;
+  if (text.startsWith("utmb")) return "utmb";
+  if (text.startsWith("itra")) return "itra";
+  return null;
+}
+
+// Fills each result's score_type from the edition when the row has none of its own.
+function withScoreType(results, meta) {
+  const fallback = meta?.score_type || DEFAULT_SCORE_TYPE;
+  return (results || []).map(r => r.score_type ? r : { ...r, score_type: fallback });
+}
+
+// Built-in curve, kept as "itra-f-quad-v1". See "Female normalization" for the
+// fitted alternative.
 function normalizeItraFemaleIndex(score) {
   if (!Number.isFinite(score)) return NaN;
   return ((-0.000466 * score) + 1.532) * score;
@@ -179,10 +350,390 @@ function topScoresFrom(results, n, limitByRank = true) {
   return valid.slice(0, n).map(r => r.index);
 }
 
-function rciFromResults(results, n, limitByRank = true) {
-  const values = topScoresFrom(results, n, limitByRank);
+function rciFromValues(values, formula = DEFAULT_RCI_FORMULA) {
   if (!values.length) return NaN;
-  return mean(values) - stdPop(values);
+  const k = Number.isFinite(formula.k) ? formula.k : 1;
+  if (formula.center === "median") return median(values) - k * madScaled(values);
+  return mean(values) - k * stdPop(values);
+}
+
+function rciFromResults(results, n, limitByRank = true, formula = DEFAULT_RCI_FORMULA) {
+  const values = formula.trimTop
+    ? topScoresFrom(results, n + 1, limitByRank).slice(1)
+    : topScoresFrom(results, n, limitByRank);
+  return rciFromValues(values, formula);
+}
+
+function isDefaultRciFormula(formula) {
+  return formula.k === DEFAULT_RCI_FORMULA.k && !formula.trimTop && formula.center === DEFAULT_RCI_FORMULA.center;
+}
+
+function describeRciFormula(n, formula = state.rciFormula) {
+  const top = formula.trimTop ? `ranks 2–${n + 1}` : `top ${n}`;
+  const k = formula.k === 1 ? "" : `${formula.k}·`;
+  return formula.center === "median"
+    ? `RCI${n} = median(${top}) − ${k}MAD(${top})`
+    : `RCI${n} = mean(${top}) − ${k}σ(${top})`;
+}
+
+// Area under the rank→index curve over ranks 1..maxRank, as a share of a field of
+// maxRank runners all at MAX_INDEX_FOR_NORM. Missing ranks count as zero, so unlike
+// RCI it keeps rewarding depth past the top 20.
+function aucFromResults(results, maxRank = AUC_DEFAULT_RANK) {
+  const values = topScoresFrom(results, maxRank, false);
+  if (!values.length || !(maxRank > 0)) return NaN;
+  return values.reduce((s, v) => s + Math.max(0, v), 0) / (maxRank * MAX_INDEX_FOR_NORM);
+}
+
+// ---- Data sources ----
+// Every backend implements the same three calls; rendering code only sees their output.
+//   listEditions()   → [meta]      one entry per edition, in the courseMetaCache shape
+//   getEdition(id)   → meta
+//   getResults(id)   → [result]    normalized, sorted by rank
+// Optionally getRciSummaries(ids, { normalizeFemale, aucRank }) → { [id]: { female, male } }
+// with finishers/rc3/rc5/rc10/rc20/gini/auc per gender; sources without it are summarized locally,
+// getNormalizationModels() → [model] with the active normalization_models rows,
+// searchRunners(query, limit) → [{ runner, nationality, finishes, runner_id }] and
+// getRunnerResults(name, runnerId) → [{ edition_id, rank, index, gender, nationality, score_type }];
+// without the runner calls the Runners tab indexes every loaded edition locally.
+// Meta carries score_type ("itra" | "utmb") and mixed_scores; results may carry their own score_type.
+// Projected editions (start lists, meta.projected) are listed too but kept out of the manifest:
+// only Trends shows them, next to the actual editions.
+// Picked by window.TRAIL_DATA_SOURCE ("supabase" | "static" | "memory"); when unset,
+// Supabase is used if config.js provided keys, else the static JSON files.
+const SUPABASE_EDITION_COLUMNS = "id, race_id, year, series, score_type, mixed_scores, projected, imported_at, races(name, country, distance_km, elevation_gain)";
+
+function supabaseEditionMeta(e) {
+  return {
+    race_id: e.id,
+    base_race_id: e.race_id,
+    name: e.races?.name || e.id,
+    country: e.races?.country || null,
+    year: e.year,
+    series: e.series || [],
+    distance_km: e.races?.distance_km || null,
+    elevation_gain: e.races?.elevation_gain || null,
+    score_type: normalizeScoreType(e.score_type) || DEFAULT_SCORE_TYPE,
+    mixed_scores: Boolean(e.mixed_scores),
+    projected: Boolean(e.projected),
+    imported_at: e.imported_at || null,
+  };
+}
+
+function createSupabaseDataSource(client) {
+  return {
+    kind: "supabase",
+    async listEditions() {
+      const { data, error } = await client.from("editions").select(SUPABASE_EDITION_COLUMNS).order("id");
+      if (error) throw new Error("listEditions: " + error.message);
+      return data.map(supabaseEditionMeta);
+    },
+    async getEdition(id) {
+      const { data, error } = await client.from("editions").select(SUPABASE_EDITION_COLUMNS).eq("id", id).single();
+      if (error) throw new Error("Edition: " + error.message);
+      return supabaseEditionMeta(data);
+    },
+    async getResults(id) {
+      const { data, error } = await client
+        .from("results")
+        .select("rank, runner, index, gender, nationality, score_type")
+        .eq("edition_id", id).order("rank");
+      if (error) throw new Error("Results: " + error.message);
+      return normalizeResults(data);
+    },
+    // Precomputed edition_metrics first; editions without current metrics go through
+    // one edition_rci() RPC for the rest of the selection — see schema.sql.
+    async getRciSummaries(ids, { normalizeFemale = true, aucRank = AUC_DEFAULT_RANK } = {}) {
+      const out = {};
+      if (normalizeFemale && aucRank === AUC_DEFAULT_RANK) {
+        const { data, error } = await client
+          .from("edition_metrics")
+          .select("edition_id, gender, finishers, rc3, rc5, rc10, rc20, gini, auc:auc50, normalization")
+          .in("edition_id", ids)
+          .in("normalization", [...new Set(ids.map(id => editionNormalizationId(getCourseMeta(id))))]);
+        if (error) console.warn("[rci] edition_metrics:", error.message);
+        else addRciSummaryRows(out, data.filter(row =>
+          row.normalization === editionNormalizationId(getCourseMeta(row.edition_id))));
+      }
+      const missing = ids.filter(id => !out[id]);
+      if (!missing.length) return out;
+      const normalizeInSql = normalizeFemale && activeNormalizations.itra.kind === "builtin";
+      const { data, error } = await client.rpc("edition_rci", { edition_ids: missing, normalize_female: normalizeInSql, auc_rank: aucRank });
+      if (error) throw new Error("edition_rci: " + error.message);
+      addRciSummaryRows(out, data);
+      return out;
+    },
+    async searchRunners(query, limit = 20) {
+      const { data, error } = await client.rpc("search_runners", { query, max_rows: limit });
+      if (error) throw new Error("search_runners: " + error.message);
+      return data || [];
+    },
+    async getRunnerResults(name, runnerId = null) {
+      // Start lists are stored as results too: only rows of actual (non-projected) editions count.
+      const columns = "id, edition_id, rank, index, gender, nationality, score_type, runner_id, editions!inner(projected)";
+      const clean = rows => rows.map(({ editions, ...r }) => ({ ...r, rank: Number(r.rank), index: Number(r.index), score_type: normalizeScoreType(r.score_type) }));
+      // A runner picked from the search: its id is the link, whatever spelling each result has.
+      if (runnerId) {
+        const { data, error } = await client.from("results").select(columns).eq("runner_id", runnerId).eq("editions.projected", false);
+        if (error) throw new Error("Runner results: " + error.message);
+        return clean(data || []);
+      }
+      // No wildcards: ilike is only there to make the lookup case-insensitive.
+      const pattern = String(name).replace(/[\\%_]/g, c => "\\" + c);
+      const { data, error } = await client.from("results").select(columns).ilike("runner", pattern).eq("editions.projected", false);
+      if (error) throw new Error("Runner results: " + error.message);
+      // Follow the runner ids to results imported under another spelling of the name.
+      const rows = new Map((data || []).map(r => [r.id, r]));
+      const runnerIds = [...new Set((data || []).map(r => r.runner_id).filter(Boolean))];
+      if (runnerIds.length) {
+        const { data: linked, error: linkErr } = await client.from("results").select(columns).in("runner_id", runnerIds).eq("editions.projected", false);
+        if (linkErr) throw new Error("Runner results: " + linkErr.message);
+        for (const r of linked || []) rows.set(r.id, r);
+      }
+      return clean([...rows.values()]);
+    },
+    async getNormalizationModels() {
+      const { data, error } = await client
+        .from("normalization_models")
+        .select("id, kind, role, score_type, params, fitted_on")
+        .eq("active", true);
+      if (error) throw new Error("normalization_models: " + error.message);
+      return data || [];
+    }
+  };
+}
+
+function addRciSummaryRows(out, rows) {
+  for (const row of rows || []) {
+    const sex = normalizeGenderLabel(row.gender);
+    if (!sex) continue;
+    out[row.edition_id] ??= { female: emptyRciSummary(), male: emptyRciSummary() };
+    out[row.edition_id][sex] = {
+      finishers: Number(row.finishers) || 0,
+      gini: row.gini === null || row.gini === undefined ? NaN : Number(row.gini),
+      auc: row.auc === null || row.auc === undefined ? NaN : Number(row.auc),
+      ...Object.fromEntries(RCI_SUMMARY_LEVELS.map(n => [`rc${n}`, row[`rc${n}`] === null ? NaN : Number(row[`rc${n}`])]))
+    };
+  }
+}
+
+// Static JSON files (e.g. a plain GitHub Pages deploy).
+// Reads data/courses_index.json + data/courses/<id>.json. File ids carry the year
+// ("UTHC_2025_42S", "UTMB2025"); stripping it gives the base race id that Trends groups on.
+function staticBaseRaceId(editionId) {
+  return String(editionId).replace(/_?(?:19|20)\d{2}(?=_|$)/, "") || editionId;
+}
+
+function staticRaceName(name, year) {
+  const text = String(name || "");
+  if (!year) return text;
+  return text.replace(new RegExp(`\\s*\\b${year}\\b`), "").replace(/\s+/g, " ").trim() || text;
+}
+
+function staticCourseMeta(editionId, raw) {
+  const m = raw || {};
+  const year = Number(m.year) || null;
+  return {
+    race_id: editionId,
+    base_race_id: m.base_race_id || staticBaseRaceId(editionId),
+    name: staticRaceName(m.name, year) || editionId,
+    country: m.country || null,
+    year,
+    series: normalizeSeries(m.series).filter(s => s.toLowerCase() !== "none"),
+    distance_km: m.distance_km || null,
+    elevation_gain: m.elevation_m || null,
+    score_type: normalizeScoreType(m.score_type || m.data_source) || DEFAULT_SCORE_TYPE,
+    mixed_scores: Boolean(m.mixed_scores),
+    projected: Boolean(m.projected),
+    cache_version: m.imported_at || m.version || null,
+  };
+}
+
+function createStaticDataSource(assetPrefix = "") {
+  const paths = new Map();
+  const files = new Map();
+  const versions = new Map();
+
+  async function fetchJson(path) {
+    const resp = await fetch(`${assetPrefix}${path}`);
+    if (!resp.ok) throw new Error(`${path}: HTTP ${resp.status}`);
+    return resp.json();
+  }
+
+  function readCourse(id) {
+    if (!files.has(id)) {
+      const p = fetchJson(paths.get(id) || `data/courses/${id}.json`);
+      p.catch(() => files.delete(id));
+      files.set(id, p);
+    }
+    return files.get(id);
+  }
+
+  return {
+    kind: "static",
+    async listEditions() {
+      const index = await fetchJson("data/courses_index.json");
+      const entries = (index.courses || []).filter(c => c.race_id);
+      for (const c of entries) {
+        if (c.path) paths.set(c.race_id, c.path);
+        // Content hash written by scripts/rebuild_manifest.js; older manifests only have
+        // the manifest-wide version, if any.
+        versions.set(c.race_id, c.version || index.version || null);
+      }
+      // Course files hold the only copy of each edition's meta, so read them all up front,
+      // unless the persistent cache holds this version of the file.
+      const errors = [];
+      const metas = await Promise.all(entries.map(async c => {
+        const version = versions.get(c.race_id);
+        const cached = await readCachedCourse(c.race_id, version);
+        if (cached?.meta) return cached.meta;
+        return readCourse(c.race_id).then(async d => {
+          const meta = staticCourseMeta(c.race_id, d.meta);
+          if (version) meta.cache_version = version;
+          await writeCachedResults(c.race_id, version, normalizeResults(d.results), meta);
+          return meta;
+        }).catch(err => {
+          console.warn("[static] skipping", c.race_id, err.message);
+          errors.push(err);
+          return null;
+        });
+      }));
+      const loaded = metas.filter(Boolean);
+      // Nothing readable at all means we're offline (or the deploy is broken), not that
+      // there are no editions: throw so loadManifest falls back to the cached list.
+      if (entries.length && !loaded.length) throw errors[0];
+      return loaded.sort((a, b) => a.race_id.localeCompare(b.race_id));
+    },
+    async getEdition(id) {
+      const meta = staticCourseMeta(id, (await readCourse(id)).meta);
+      if (versions.get(id)) meta.cache_version = versions.get(id);
+      return meta;
+    },
+    async getResults(id) {
+      return normalizeResults((await readCourse(id)).results);
+    }
+  };
+}
+
+// In-memory fixtures: an array of { meta, results } objects, same shape as data/courses/*.json.
+// meta.race_id is the edition id.
+function createMemoryDataSource(courses = []) {
+  const byId = new Map();
+  for (const c of courses) {
+    const id = c?.meta?.race_id;
+    if (id) byId.set(id, c);
+  }
+  const get = id => {
+    const c = byId.get(id);
+    if (!c) throw new Error(`Unknown edition: ${id}`);
+    return c;
+  };
+  return {
+    kind: "memory",
+    async listEditions() {
+      return [...byId.keys()].sort().map(id => staticCourseMeta(id, byId.get(id).meta));
+    },
+    async getEdition(id) { return staticCourseMeta(id, get(id).meta); },
+    async getResults(id) { return normalizeResults(get(id).results); }
+  };
+}
+
+let dataSource = null;
+
+function getDataSource() {
+  if (dataSource) return dataSource;
+  const kind = window.TRAIL_DATA_SOURCE || (window.supabaseClient ? "supabase" : "static");
+  if (kind === "supabase") {
+    if (!window.supabaseClient) throw new Error("TRAIL_DATA_SOURCE is \"supabase\" but no Supabase client is configured.");
+    dataSource = createSupabaseDataSource(window.supabaseClient);
+  } else if (kind === "memory") {
+    dataSource = createMemoryDataSource(window.TRAIL_FIXTURES || []);
+  } else if (kind === "static") {
+    dataSource = createStaticDataSource(state.assetPrefix);
+  } else {
+    throw new Error(`Unknown TRAIL_DATA_SOURCE: ${kind}`);
+  }
+  return dataSource;
+}
+
+// ---- Persistent cache (IndexedDB) ----
+// Results are stored per edition together with a version: the edition's `imported_at`
+// (Supabase), else its `cache_version` (static: the file's content hash from the manifest;
+// fixtures: their own imported_at or version). A cached list is reused until the version
+// changes; editions with no version at all are not cached. The last edition list is kept
+// too, so seen editions stay browsable offline.
+const CACHE_DB_NAME = "trail-density-cache";
+const CACHE_DB_VERSION = 1;
+let cacheDbPromise = null;
+
+function openCacheDb() {
+  if (cacheDbPromise) return cacheDbPromise;
+  cacheDbPromise = new Promise(resolve => {
+    if (!window.indexedDB) { resolve(null); return; }
+    const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("results")) db.createObjectStore("results", { keyPath: "id" });
+      if (!db.objectStoreNames.contains("editions")) db.createObjectStore("editions", { keyPath: "source" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { console.warn("[cache] IndexedDB unavailable:", req.error?.message); resolve(null); };
+  });
+  return cacheDbPromise;
+}
+
+async function cacheGet(store, key) {
+  const db = await openCacheDb();
+  if (!db) return null;
+  return new Promise(resolve => {
+    const req = db.transaction(store, "readonly").objectStore(store).get(key);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => resolve(null);
+  });
+}
+
+async function cachePut(store, value) {
+  const db = await openCacheDb();
+  if (!db) return;
+  await new Promise(resolve => {
+    const tx = db.transaction(store, "readwrite");
+    tx.objectStore(store).put(value);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => { console.warn("[cache] write failed:", tx.error?.message); resolve(); };
+  });
+}
+
+function editionCacheVersion(meta) {
+  return meta?.imported_at || meta?.cache_version || null;
+}
+
+async function readCachedCourse(editionId, version) {
+  if (!version) return null;
+  const entry = await cacheGet("results", editionId);
+  return entry && entry.version === version ? entry : null;
+}
+
+async function readCachedResults(editionId, version) {
+  return (await readCachedCourse(editionId, version))?.results || null;
+}
+
+// meta is kept with the results for sources whose edition list is read from the same
+// files (static), so a repeat visit needs nothing but the manifest.
+async function writeCachedResults(editionId, version, results, meta = null) {
+  if (!version) return;
+  await cachePut("results", { id: editionId, version, results, meta });
+}
+
+async function clearPersistentCache() {
+  const db = await openCacheDb();
+  if (!db) return;
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(["results", "editions"], "readwrite");
+    tx.objectStore("results").clear();
+    tx.objectStore("editions").clear();
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(new Error(tx.error?.message || "clear failed"));
+  });
 }
 
 // ---- Data loading ----
@@ -193,25 +744,19 @@ const courseCache = new Map();
 const courseMetaCache = new Map();
 
 async function loadManifest() {
-  if (!window.supabaseClient) return [];
-  const { data, error } = await window.supabaseClient
-    .from("editions")
-    .select("id, race_id, year, series, races(name, country, distance_km, elevation_gain)")
-    .order("id");
-  if (error) throw new Error("loadManifest: " + error.message);
-  manifest = { courses: data.map(e => ({ race_id: e.id, id: e.id })) };
-  for (const e of data) {
-    courseMetaCache.set(e.id, {
-      race_id: e.id,
-      base_race_id: e.race_id,
-      name: e.races?.name || e.id,
-      country: e.races?.country || null,
-      year: e.year,
-      series: e.series || [],
-      distance_km: e.races?.distance_km || null,
-      elevation_gain: e.races?.elevation_gain || null,
-    });
+  const source = getDataSource();
+  let editions;
+  try {
+    editions = await source.listEditions();
+    cachePut("editions", { source: source.kind, editions });
+  } catch (err) {
+    const cached = await cacheGet("editions", source.kind);
+    if (!cached) throw err;
+    console.warn("[cache] using cached edition list:", err.message);
+    editions = cached.editions;
   }
+  manifest = { courses: editions.filter(m => !m.projected).map(m => ({ race_id: m.race_id, id: m.race_id })) };
+  for (const meta of editions) courseMetaCache.set(meta.race_id, meta);
   return manifest.courses;
 }
 
@@ -227,7 +772,8 @@ function normalizeResults(results) {
   return (results || [])
     .map(r => ({
       rank: Number(r.rank), index: Number(r.index),
-      runner: r.runner ?? null, gender: r.gender ?? null, nationality: r.nationality ?? null
+      runner: r.runner ?? null, gender: r.gender ?? null, nationality: r.nationality ?? null,
+      score_type: normalizeScoreType(r.score_type)
     }))
     .filter(r => Number.isFinite(r.rank) && Number.isFinite(r.index))
     .sort((a, b) => a.rank - b.rank);
@@ -235,59 +781,20 @@ function normalizeResults(results) {
 
 async function loadCourse(editionId) {
   if (courseCache.has(editionId)) return courseCache.get(editionId);
-  if (!window.supabaseClient) throw new Error("No Supabase client.");
-
-  const [edResp, resResp] = await Promise.all([
-    window.supabaseClient
-      .from("editions")
-      .select("id, race_id, year, series, date, itra_edition_url, races(name, country, distance_km, elevation_gain)")
-      .eq("id", editionId).single(),
-    window.supabaseClient
-      .from("results")
-      .select("rank, runner, index, gender, nationality")
-      .eq("edition_id", editionId).order("rank")
-  ]);
-
-  if (edResp.error) throw new Error("Edition: " + edResp.error.message);
-  if (resResp.error) throw new Error("Results: " + resResp.error.message);
-
-  const e = edResp.data;
-  const meta = {
-    race_id: e.id,
-    base_race_id: e.race_id,
-    name: e.races?.name || e.id,
-    country: e.races?.country || null,
-    year: e.year,
-    series: e.series || [],
-    distance_km: e.races?.distance_km || null,
-  };
-  const course = { meta, results: normalizeResults(resResp.data) };
+  const source = getDataSource();
+  const meta = getCourseMeta(editionId) || await source.getEdition(editionId);
+  const version = editionCacheVersion(meta);
+  let results = await readCachedResults(editionId, version);
+  if (!results) {
+    results = await source.getResults(editionId);
+    await writeCachedResults(editionId, version, results, source.kind === "static" ? meta : null);
+  }
+  const course = { meta, results: withScoreType(results, meta) };
   courseCache.set(editionId, course);
   courseMetaCache.set(editionId, meta);
   return course;
 }
 
-async function preloadAllCourseMeta() {
-  if (!window.supabaseClient) return;
-  const { data, error } = await window.supabaseClient
-    .from("editions")
-    .select("id, race_id, year, series, races(name, country, distance_km, elevation_gain)")
-    .order("id");
-  if (error) throw new Error("preloadAllCourseMeta: " + error.message);
-  for (const e of data) {
-    courseMetaCache.set(e.id, {
-      race_id: e.id,
-      base_race_id: e.race_id,
-      name: e.races?.name || e.id,
-      country: e.races?.country || null,
-      year: e.year,
-      series: e.series || [],
-      distance_km: e.races?.distance_km || null,
-      elevation_gain: e.races?.elevation_gain || null,
-    });
-  }
-}
-
 // ---- UI state ----
 const state = {
   appMode: "public",
@@ -302,17 +809,38 @@ const state = {
   },
   parityN: 10,
   chartsGender: "both",
+  lorenzGender: "both",
+  heatmapGender: "female",
+  heatmapMode: "deciles",
+  nationsGender: "both",
+  nationsTopN: 20,
+  seriesGender: "female",
+  seriesKey: "rc10",
+  compareIds: [null, null],
+  startList: null,
+  compareGender: "female",
+  compareN: 10,
   topN: 30,
   activeTab: "rcinormcharts",
   // Trends
   trendsRaceId: null,
   trendsGender: "both",
   trendsRciKey: "rc5",
+  rciFormula: { ...DEFAULT_RCI_FORMULA },
+  rciCi: false,
+  scoreConversion: false,
+  runnerName: null,
+  runnerId: null,
+  embedEditionId: null,
+  manualImport: null,
+  reportEditionId: null,
+  aucRank: AUC_DEFAULT_RANK,
   // Admin state
   itraCookie: "",
   discoverRaces: [],
   importQueue: [],
   importRunning: false,
+  metricsRunning: false,
   raceSelected: null,
 };
 
@@ -320,6 +848,8 @@ const state = {
 const chipState = { activeSeries: new Set(), activeYears: new Set([2025]), activeCountry: "", isManual: false };
 // Exposed by wirePublicChipFilters so boot section can wire reset
 let _publicFilterReset = () => {};
+// Exposed too: re-applies chipState after it was set from the URL
+let _publicFilterSync = () => {};
 
 // Viz tab shares selection with RCI tab
 state.vizSelected = state.rciNormSelected;
@@ -382,6 +912,11 @@ function renderCourseList(targetEl, selectedSet, searchQuery, options = {}) {
 }
 
 // ---- Public RCI table ----
+function ciSuffix(ci) {
+  const hw = ciHalfWidth(ci);
+  return Number.isFinite(hw) ? `<span class="ci" title="${BOOTSTRAP_LEVEL * 100}% [${fmt(ci.lo, 1)}, ${fmt(ci.hi, 1)}]">±${fmt(hw, 1)}</span>` : "";
+}
+
 async function renderPublicRciTable() {
   const table = document.getElementById("publicRciTable");
   if (!table) return;
@@ -390,34 +925,68 @@ async function renderPublicRciTable() {
   tbody.innerHTML = "";
 
   const gender = state.publicRciGender;
-  const rows = await getRciRowsForGender(gender, {
-    selectedSet: state.rciNormSelected,
-    filters: state.rciNormFilters,
-    sorts: state.rciNormSorts,
-    normalizeFemale: true
-  });
+  const mixedEl = document.getElementById("rciMixedNotice");
+  let rows = [];
+  let mixedError = null;
+  try {
+    rows = await getRciRowsForGender(gender, {
+      selectedSet: state.rciNormSelected,
+      filters: state.rciNormFilters,
+      sorts: state.rciNormSorts,
+      normalizeFemale: true
+    });
+  } catch (err) {
+    if (err.code !== "mixed-score-types") throw err;
+    mixedError = err;
+  }
+  if (mixedEl) {
+    mixedEl.textContent = mixedError ? mixedError.message : "";
+    mixedEl.style.display = mixedError ? "" : "none";
+  }
 
   const emptyEl = document.getElementById("rciEmptyState");
-  if (emptyEl) emptyEl.style.display = rows.length === 0 ? "" : "none";
+  if (emptyEl) emptyEl.style.display = rows.length === 0 && !mixedError ? "" : "none";
 
-  const allMetrics = rows.flatMap(r => [r.rc3, r.rc5, r.rc10, r.rc20]).filter(Number.isFinite);
+  const allMetrics = rows.flatMap(r => [r.rc3, r.rc5, r.rc10, r.rc20, r.rcx]).filter(Number.isFinite);
   const minVal = allMetrics.length ? Math.min(...allMetrics) : 0;
   const maxVal = allMetrics.length ? Math.max(...allMetrics) : 0;
+  const aucValues = rows.map(r => r.auc).filter(Number.isFinite);
+  const aucMin = aucValues.length ? Math.min(...aucValues) : 0;
+  const aucMax = aucValues.length ? Math.max(...aucValues) : 0;
+  const aucTh = table.querySelector('thead th[data-key="auc"]');
+  if (aucTh) aucTh.textContent = `AUC${state.aucRank}`;
+  const customN = state.rciFormula.n;
+  table.classList.toggle("show-custom", Boolean(customN) && !RCI_SUMMARY_LEVELS.includes(customN));
+  for (const th of table.querySelectorAll("thead th[data-key]")) {
+    const m = th.dataset.key.match(/^rc(\d+|x)$/);
+    if (!m) continue;
+    const n = m[1] === "x" ? customN : Number(m[1]);
+    if (!n) continue;
+    if (m[1] === "x") th.textContent = `RCI${n}`;
+    th.title = describeRciFormula(n);
+  }
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
     const tr = document.createElement("tr");
     tr.innerHTML = `
       <td class="col-rank">${i + 1}</td>
-      <td class="col-left" style="font-weight:600;">${r.name}</td>
+      <td class="col-left" style="font-weight:600;">${r.name}${state.appMode === "public" ? ` <button class="row-compare" title="${t("compareAction")}">⇄</button>` : ""}</td>
       <td class="col-left" style="color:var(--muted);">${r.country || "-"}</td>
       <td class="col-left" style="color:var(--muted);">${r.series || "-"}</td>
-      <td class="col-extra col-num" style="${densityColor(r.rc3, minVal, maxVal)}">${fmt(r.rc3, 2)}</td>
-      <td class="col-num" style="${densityColor(r.rc5, minVal, maxVal)}">${fmt(r.rc5, 2)}</td>
-      <td class="col-num" style="${densityColor(r.rc10, minVal, maxVal)}">${fmt(r.rc10, 2)}</td>
-      <td class="col-extra col-num" style="${densityColor(r.rc20, minVal, maxVal)}">${fmt(r.rc20, 2)}</td>
+      <td class="col-extra col-num" style="${densityColor(r.rc3, minVal, maxVal)}">${fmt(r.rc3, 2)}${ciSuffix(r.ci?.rc3)}</td>
+      <td class="col-num" style="${densityColor(r.rc5, minVal, maxVal)}">${fmt(r.rc5, 2)}${ciSuffix(r.ci?.rc5)}</td>
+      <td class="col-num" style="${densityColor(r.rc10, minVal, maxVal)}">${fmt(r.rc10, 2)}${ciSuffix(r.ci?.rc10)}</td>
+      <td class="col-extra col-num" style="${densityColor(r.rc20, minVal, maxVal)}">${fmt(r.rc20, 2)}${ciSuffix(r.ci?.rc20)}</td>
+      <td class="col-extra col-num" style="color:var(--muted);">${fmt(r.gini, 3)}</td>
+      <td class="col-num" style="${densityColor(r.auc, aucMin, aucMax)}">${fmt(r.auc, 3)}</td>
+      <td class="col-custom col-num" style="${densityColor(r.rcx, minVal, maxVal)}">${fmt(r.rcx, 2)}${ciSuffix(r.ci?.[`rc${customN}`])}</td>
     `;
-    if (r.base_race_id) {
+    tr.querySelector(".row-compare")?.addEventListener("click", e => {
+      e.stopPropagation();
+      openCompare(r.id, compareOpponent(r.id, rows.map(row => row.id)));
+    });
+    if (r.base_race_id && state.appMode === "public") {
       tr.title = lang === "fr" ? "Voir les tendances →" : "View trends →";
       tr.addEventListener("click", () => {
         state.trendsRaceId = r.base_race_id;
@@ -481,7 +1050,7 @@ function wirePublicChipFilters() {
       const raceYear = meta?.year;
       const seriesOk = !chipState.activeSeries.size || raceSeries.some(s => chipState.activeSeries.has(s));
       const yearOk = !chipState.activeYears.size || chipState.activeYears.has(raceYear);
-      if (seriesOk && yearOk) state.rciNormSelected.add(c.race_id);
+      if (seriesOk && yearOk && isShortcutScoreType(meta)) state.rciNormSelected.add(c.race_id);
     }
   }
 
@@ -638,6 +1207,9 @@ function wirePublicChipFilters() {
     await renderPublicRciTable();
     if (state.activeTab === "visualization") await updateVisualization();
     if (state.activeTab === "charts") await updateCharts();
+    if (state.activeTab === "lorenz") await updateLorenz();
+    if (state.activeTab === "heatmap") await updateHeatmap();
+    if (state.activeTab === "nations") await updateNations();
   }
 
   // publicRaceSearch is now always visible inside the picker modal — no toggle needed
@@ -674,6 +1246,66 @@ function wirePublicChipFilters() {
     setSelectionByYear(state.rciNormSelected, 2025);
     renderSeriesChips(); renderYearChips(); renderCountryChips(); renderPublicRaceList(); renderFilterBar(); triggerUpdate();
   };
+
+  _publicFilterSync = () => {
+    if (!chipState.isManual) applyChipSelection();
+    renderSeriesChips(); renderYearChips(); renderCountryChips(); renderPublicRaceList(); renderFilterBar();
+  };
+}
+
+// ---- RCI formula panel ----
+function readRciFormulaInputs() {
+  const n = Math.round(Number(document.getElementById("rciFormulaN")?.value));
+  const k = Number(document.getElementById("rciFormulaK")?.value);
+  return {
+    n: Number.isFinite(n) && n >= 1 ? n : null,
+    k: Number.isFinite(k) && k >= 0 ? k : DEFAULT_RCI_FORMULA.k,
+    trimTop: Boolean(document.getElementById("rciFormulaTrim")?.checked),
+    center: document.getElementById("rciFormulaCenter")?.value === "median" ? "median" : "mean"
+  };
+}
+
+function syncRciFormulaInputs() {
+  const f = state.rciFormula;
+  const nEl = document.getElementById("rciFormulaN");
+  if (nEl) nEl.value = f.n ? String(f.n) : "";
+  const kEl = document.getElementById("rciFormulaK");
+  if (kEl) kEl.value = String(f.k);
+  const trimEl = document.getElementById("rciFormulaTrim");
+  if (trimEl) trimEl.checked = f.trimTop;
+  const centerEl = document.getElementById("rciFormulaCenter");
+  if (centerEl) centerEl.value = f.center;
+  const descEl = document.getElementById("rciFormulaDesc");
+  if (descEl) descEl.textContent = describeRciFormula(f.n || 10, f);
+  document.getElementById("rciFormulaToggle")?.classList.toggle("active", !isDefaultRciFormula(f) || Boolean(f.n));
+
+  // Custom-N chips in Trends and Parity follow the formula's N.
+  const trendsChip = document.getElementById("trendsRciCustom");
+  if (trendsChip) {
+    trendsChip.hidden = !f.n;
+    trendsChip.textContent = f.n ? `RCI${f.n}` : "";
+  }
+  const parityChip = document.getElementById("parityNCustom");
+  if (parityChip) {
+    parityChip.hidden = !f.n || PARITY_N_LEVELS.includes(f.n);
+    if (f.n) { parityChip.dataset.n = String(f.n); parityChip.textContent = `N=${f.n}`; }
+  }
+}
+
+function setRciFormula(formula) {
+  const prevN = state.rciFormula.n;
+  state.rciFormula = { ...formula };
+  if (state.trendsRciKey === `rc${prevN}` && !RCI_SUMMARY_LEVELS.includes(prevN)) {
+    state.trendsRciKey = formula.n ? `rc${formula.n}` : "rc5";
+  }
+  if (!formula.n && !PARITY_N_LEVELS.includes(state.parityN)) state.parityN = 10;
+  if (formula.n && state.parityN === prevN && !PARITY_N_LEVELS.includes(prevN)) state.parityN = formula.n;
+  syncRciFormulaInputs();
+  document.querySelectorAll("#parityNChips [data-n]").forEach(b =>
+    b.classList.toggle("active", Number(b.dataset.n) === state.parityN));
+  renderPublicRciTable();
+  if (state.activeTab === "visualization") updateVisualization();
+  if (state.trendsRaceId) renderTrendsChart();
 }
 
 // ---- Picker modal ----
@@ -697,7 +1329,7 @@ function renderTrendsRaceList() {
     const name = meta.name || meta.base_race_id;
     if (q && !name.toLowerCase().includes(q) && !meta.base_race_id.toLowerCase().includes(q)) continue;
     if (!races.has(meta.base_race_id)) races.set(meta.base_race_id, { name, years: [] });
-    if (meta.year) races.get(meta.base_race_id).years.push(meta.year);
+    if (meta.year && !meta.projected) races.get(meta.base_race_id).years.push(meta.year);
   }
   list.innerHTML = "";
   for (const [raceId, info] of [...races.entries()].sort((a, b) => a[1].name.localeCompare(b[1].name))) {
@@ -723,6 +1355,10 @@ function renderTrendsRaceList() {
   }
 }
 
+function trendsMetricLabel(key) {
+  return key === "auc" ? `AUC${state.aucRank}` : key.replace("rc", "RCI");
+}
+
 async function renderTrendsChart() {
   const raceId = state.trendsRaceId;
   const emptyEl = document.getElementById("trendsEmpty");
@@ -736,48 +1372,109 @@ async function renderTrendsChart() {
   if (detailEl) detailEl.style.display = "";
 
   const editionIds = [];
+  const projectedIds = [];
   for (const [edId, meta] of courseMetaCache) {
-    if (meta.base_race_id === raceId) editionIds.push(edId);
+    if (meta.base_race_id === raceId) (meta.projected ? projectedIds : editionIds).push(edId);
   }
   editionIds.sort();
 
-  const courses = await Promise.all(editionIds.map(id => loadCourse(id).catch(() => null)));
+  const key = state.trendsRciKey;
+  try {
+    assertSingleScoreType([...editionIds, ...projectedIds]);
+  } catch (err) {
+    if (err.code !== "mixed-score-types") throw err;
+    Plotly.react("trendsPlot", [], {
+      paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)",
+      xaxis: { visible: false }, yaxis: { visible: false },
+      annotations: [{ x: 0.5, y: 0.5, xref: "paper", yref: "paper", text: err.message, showarrow: false, font: { color: "#64748b", size: 13 } }]
+    }, { displayModeBar: false, responsive: true });
+    const tableWrap = document.getElementById("trendsTableWrap");
+    if (tableWrap) tableWrap.innerHTML = "";
+    chartExports.delete("trendsPlot");
+    return;
+  }
+  const summaries = await loadRciSummaries([...editionIds, ...projectedIds]);
+  const intervals = state.rciCi && key !== "auc" ? await loadRciIntervals(editionIds) : null;
   const editionData = [];
-  for (const course of courses) {
-    if (!course) continue;
-    const rf = filterResultsByGender(course.results, "female").map(r => ({ ...r, index: normalizeItraFemaleIndex(r.index) }));
-    const rm = filterResultsByGender(course.results, "male");
-    editionData.push({
-      year: course.meta.year,
-      rc5f: rciFromResults(rf, 5, false), rc10f: rciFromResults(rf, 10, false),
-      rc5m: rciFromResults(rm, 5, false), rc10m: rciFromResults(rm, 10, false),
-    });
+  for (const id of editionIds) {
+    const summary = summaries.get(id);
+    if (!summary) continue;
+    const ci = intervals?.get(id);
+    editionData.push({ id, year: getCourseMeta(id)?.year, f: summary.female, m: summary.male, fCi: ci?.female?.[key], mCi: ci?.male?.[key] });
   }
   editionData.sort((a, b) => a.year - b.year);
-
-  const n = state.trendsRciKey === "rc10" ? 10 : 5;
+  const projectedData = projectedIds
+    .filter(id => summaries.has(id))
+    .map(id => ({ id, year: getCourseMeta(id)?.year, f: summaries.get(id).female, m: summaries.get(id).male }))
+    .sort((a, b) => a.year - b.year);
+
+  document.getElementById("trendsRciRci5")?.classList.toggle("active", key === "rc5");
+  document.getElementById("trendsRciRci10")?.classList.toggle("active", key === "rc10");
+  document.getElementById("trendsRciAuc")?.classList.toggle("active", key === "auc");
+  document.getElementById("trendsRciCustom")?.classList.toggle("active", Boolean(state.rciFormula.n) && key === `rc${state.rciFormula.n}`);
   const years = editionData.map(d => d.year);
-  const yF = editionData.map(d => n === 5 ? d.rc5f : d.rc10f);
-  const yM = editionData.map(d => n === 5 ? d.rc5m : d.rc10m);
+  const yF = editionData.map(d => d.f[key]);
+  const yM = editionData.map(d => d.m[key]);
   const showF = state.trendsGender !== "male";
   const showM = state.trendsGender !== "female";
 
+  const errorBars = (ys, cis, color) => intervals ? {
+    type: "data", symmetric: false, color, thickness: 1.5, width: 4,
+    array: cis.map((ci, i) => ci ? ci.hi - ys[i] : NaN),
+    arrayminus: cis.map((ci, i) => ci ? ys[i] - ci.lo : NaN)
+  } : undefined;
+
   const traces = [];
-  if (showF) traces.push({ x: years, y: yF, name: t("trendsGenderWomen"), mode: "lines+markers", line: { color: "rgb(75,131,88)", width: 3 }, marker: { size: 7 }, connectgaps: false });
-  if (showM) traces.push({ x: years, y: yM, name: t("trendsGenderMen"), mode: "lines+markers", line: { color: "rgb(198,93,38)", width: 3 }, marker: { size: 7 }, connectgaps: false });
+  if (showF) traces.push({ x: years, y: yF, name: t("trendsGenderWomen"), mode: "lines+markers", line: { color: "rgb(75,131,88)", width: 3 }, marker: { size: 7 }, connectgaps: false, error_y: errorBars(yF, editionData.map(d => d.fCi), "rgba(75,131,88,0.6)") });
+  if (showM) traces.push({ x: years, y: yM, name: t("trendsGenderMen"), mode: "lines+markers", line: { color: "rgb(198,93,38)", width: 3 }, marker: { size: 7 }, connectgaps: false, error_y: errorBars(yM, editionData.map(d => d.mCi), "rgba(198,93,38,0.6)") });
+  // Projections: hollow markers, drawn beside the actual point when both exist.
+  const projectedTrace = (sex, color, label) => ({
+    x: projectedData.map(d => d.year), y: projectedData.map(d => d[sex][key]),
+    name: `${label} · ${t("trendsProjected")}`, mode: "markers",
+    marker: { size: 11, symbol: "diamond-open", color, line: { width: 2 } },
+    hovertemplate: `<b>%{x} · ${t("trendsProjected")}</b><br>${label} %{y:.2f}<extra></extra>`
+  });
+  if (projectedData.length && showF) traces.push(projectedTrace("f", "rgb(75,131,88)", t("trendsGenderWomen")));
+  if (projectedData.length && showM) traces.push(projectedTrace("m", "rgb(198,93,38)", t("trendsGenderMen")));
 
   const layout = {
     margin: { l: 50, r: 20, t: 10, b: 40 },
     xaxis: { tickmode: "linear", dtick: 1, fixedrange: true, showgrid: true, gridcolor: "#e9e3d9" },
-    yaxis: { title: state.trendsRciKey.toUpperCase(), fixedrange: true, showgrid: true, gridcolor: "#e9e3d9" },
+    yaxis: { title: trendsMetricLabel(key), fixedrange: true, showgrid: true, gridcolor: "#e9e3d9" },
     legend: { orientation: "h", y: 1.16, font: { size: 11 } },
     plot_bgcolor: "rgba(0,0,0,0)", paper_bgcolor: "rgba(0,0,0,0)",
     font: { family: "Archivo, sans-serif", size: 12 }
   };
   Plotly.react("trendsPlot", traces, layout, { displayModeBar: false, responsive: true });
+  applyEmbedPlotTheme("trendsPlot");
+  const genderColumns = [...(showF ? [["female", "f", t("trendsGenderWomen")]] : []), ...(showM ? [["male", "m", t("trendsGenderMen")]] : [])];
+  const trendsRow = (d, projected) => {
+    const row = { edition: d.id, year: d.year, projected };
+    for (const [sex, short] of genderColumns) {
+      row[sex] = d[short][key];
+      if (intervals && !projected) { row[`${sex}_lo`] = d[`${short}Ci`]?.lo; row[`${sex}_hi`] = d[`${short}Ci`]?.hi; }
+    }
+    return row;
+  };
+  recordChartExport("trendsPlot", {
+    title: `${courseMetaCache.get(editionIds[0] || projectedIds[0])?.name || raceId} — ${trendsMetricLabel(key)}`,
+    subtitle: [genderColumns.map(g => g[2]).join(" + "), trendsMetricLabel(key)].join(" · "),
+    slug: raceId,
+    ids: [...editionIds, ...projectedIds],
+    normalized: true,
+    formula: key.startsWith("rc") ? Number(key.slice(2)) : null,
+    columns: [
+      { label: "Edition", key: "edition" }, { label: "Year", key: "year" }, { label: "Projected", key: "projected" },
+      ...genderColumns.flatMap(([sex, , label]) => [
+        { label: `${trendsMetricLabel(key)} ${label}`, key: sex },
+        ...(intervals ? [{ label: `${label} ${BOOTSTRAP_LEVEL * 100}% lo`, key: `${sex}_lo` }, { label: `${label} ${BOOTSTRAP_LEVEL * 100}% hi`, key: `${sex}_hi` }] : [])
+      ])
+    ],
+    rows: [...editionData.map(d => trendsRow(d, false)), ...projectedData.map(d => trendsRow(d, true))]
+  });
   resizePlot("trendsPlot");
 
-  const firstMeta = courseMetaCache.get(editionIds[0]);
+  const firstMeta = courseMetaCache.get(editionIds[0] || projectedIds[0]);
   const headerEl = document.getElementById("trendsHeader");
   if (headerEl && firstMeta) {
     const meta = [firstMeta.country, firstMeta.distance_km ? `${firstMeta.distance_km} km` : null].filter(Boolean).join(" · ");
@@ -789,29 +1486,152 @@ async function renderTrendsChart() {
   const tableWrap = document.getElementById("trendsTableWrap");
   if (tableWrap) {
     const fL = t("trendsGenderWomen"); const mL = t("trendsGenderMen"); const yL = t("yearCol");
-    const rows = editionData.map(d => `
+    const aucL = trendsMetricLabel("auc");
+    // ⇄ compares an edition with the one before it.
+    const rows = editionData.map((d, i) => `
       <tr>
         <td class="col-left" style="font-family:'IBM Plex Mono',monospace;">${d.year}</td>
-        <td class="col-num">${fmt(d.rc5f, 2)}</td><td class="col-num">${fmt(d.rc10f, 2)}</td>
-        <td class="col-num">${fmt(d.rc5m, 2)}</td><td class="col-num">${fmt(d.rc10m, 2)}</td>
+        <td class="col-num">${fmt(d.f.rc5, 2)}</td><td class="col-num">${fmt(d.f.rc10, 2)}</td><td class="col-num">${fmt(d.f.auc, 3)}</td>
+        <td class="col-num">${fmt(d.m.rc5, 2)}</td><td class="col-num">${fmt(d.m.rc10, 2)}</td><td class="col-num">${fmt(d.m.auc, 3)}</td>
+        <td class="col-num">${state.appMode === "public" ? `<a class="row-compare" href="report/?edition=${encodeURIComponent(d.id)}" target="_blank" rel="noopener" title="${t("reportOpen")}">📄</a>` : ""}${i && state.appMode === "public" ? `<button class="row-compare" data-compare="${editionData[i - 1].id}|${d.id}" title="${t("compareAction")}">⇄ ${editionData[i - 1].year}</button>` : ""}</td>
+      </tr>`).join("") + projectedData.map(d => `
+      <tr style="font-style:italic; color:var(--muted);">
+        <td class="col-left" style="font-family:'IBM Plex Mono',monospace;">${d.year} · ${t("trendsProjected")}</td>
+        <td class="col-num">${fmt(d.f.rc5, 2)}</td><td class="col-num">${fmt(d.f.rc10, 2)}</td><td class="col-num">${fmt(d.f.auc, 3)}</td>
+        <td class="col-num">${fmt(d.m.rc5, 2)}</td><td class="col-num">${fmt(d.m.rc10, 2)}</td><td class="col-num">${fmt(d.m.auc, 3)}</td>
+        <td></td>
       </tr>`).join("");
     tableWrap.innerHTML = `<table>
       <thead><tr>
         <th class="col-left">${yL}</th>
-        <th>RCI5 ${fL}</th><th>RCI10 ${fL}</th>
-        <th>RCI5 ${mL}</th><th>RCI10 ${mL}</th>
+        <th>RCI5 ${fL}</th><th>RCI10 ${fL}</th><th>${aucL} ${fL}</th>
+        <th>RCI5 ${mL}</th><th>RCI10 ${mL}</th><th>${aucL} ${mL}</th><th></th>
       </tr></thead>
       <tbody>${rows}</tbody>
     </table>`;
+    tableWrap.querySelectorAll("[data-compare]").forEach(btn => btn.addEventListener("click", () => {
+      const [idA, idB] = btn.dataset.compare.split("|");
+      openCompare(idB, idA);
+    }));
+  }
+}
+
+// ---- Series leaderboard ----
+// Every edition tagged with a series (other than "none") counts once for each of its
+// series, within the default score type like the year shortcuts. Per series and year:
+// count, mean, median and best edition of the chosen RCI; "all" pools every year.
+function seriesOf(meta) {
+  return normalizeSeries(meta?.series).filter(v => v.toLowerCase() !== "none");
+}
+
+async function getSeriesStats(gender, key) {
+  const ids = getManifestEntries().map(c => c.race_id).filter(id => {
+    const meta = getCourseMeta(id);
+    return seriesOf(meta).length && isShortcutScoreType(meta);
+  });
+  const summaries = await loadRciSummaries(ids);
+  const groups = new Map();
+  for (const id of ids) {
+    const meta = getCourseMeta(id);
+    const raceGender = inferRaceGender(meta);
+    if (raceGender && raceGender !== gender) continue;
+    const value = summaries.get(id)?.[gender]?.[key];
+    if (!Number.isFinite(value)) continue;
+    const edition = { id, label: getCourseLabel({ meta, race_id: id }), value };
+    for (const series of seriesOf(meta)) {
+      if (!groups.has(series)) groups.set(series, new Map([["all", []]]));
+      const byYear = groups.get(series);
+      if (!byYear.has(meta.year)) byYear.set(meta.year, []);
+      byYear.get(meta.year).push(edition);
+      byYear.get("all").push(edition);
+    }
   }
+  const stat = editions => {
+    const values = editions.map(e => e.value);
+    return {
+      count: editions.length,
+      mean: mean(values),
+      median: median(values),
+      best: editions.reduce((best, e) => (e.value > best.value ? e : best))
+    };
+  };
+  return [...groups.entries()].map(([series, byYear]) => ({
+    series,
+    all: stat(byYear.get("all")),
+    years: [...byYear.entries()].filter(([year]) => year !== "all")
+      .sort((a, b) => a[0] - b[0])
+      .map(([year, editions]) => ({ year, ...stat(editions) }))
+  })).sort((a, b) => b.all.mean - a.all.mean);
+}
+
+async function renderSeries() {
+  const el = document.getElementById("seriesPlot");
+  if (!el) return;
+  const { seriesGender: gender, seriesKey: key } = state;
+  document.getElementById("seriesGenderWomen")?.classList.toggle("active", gender === "female");
+  document.getElementById("seriesGenderMen")?.classList.toggle("active", gender === "male");
+  document.querySelectorAll("#seriesKeys [data-key]").forEach(btn => {
+    btn.classList.toggle("active", btn.dataset.key === key);
+    btn.textContent = trendsMetricLabel(btn.dataset.key);
+  });
+
+  const stats = await getSeriesStats(gender, key);
+  const emptyEl = document.getElementById("seriesEmpty");
+  if (emptyEl) emptyEl.style.display = stats.length ? "none" : "";
+  el.style.display = stats.length ? "" : "none";
+
+  const digits = key === "auc" ? 3 : 1;
+  const palette = ["#c65d26", "#4b8358", "#2f5d8a", "#9a6b2f", "#7a4f9a", "#3f8f8a", "#b0475a", "#5b6b2f", "#8a5a44", "#44608a"];
+  Plotly.react("seriesPlot", stats.map((s, i) => ({
+    x: s.years.map(y => y.year),
+    y: s.years.map(y => y.mean),
+    customdata: s.years.map(y => [y.count, fmt(y.median, digits), y.best.label]),
+    name: s.series, mode: "lines+markers",
+    line: { color: palette[i % palette.length], width: 2.5 }, marker: { size: 7 },
+    hovertemplate: `<b>${s.series}</b> %{x}<br>${t("seriesMean")} %{y:.${digits}f} · ${t("seriesMedian")} %{customdata[1]}<br>%{customdata[0]} ${t("seriesEditions").toLowerCase()} · ${t("seriesBest")}: %{customdata[2]}<extra></extra>`
+  })), {
+    margin: { l: 55, r: 20, t: 10, b: 40 },
+    xaxis: { tickmode: "linear", dtick: 1, fixedrange: true, showgrid: true, gridcolor: "#e9e3d9" },
+    yaxis: { title: `${trendsMetricLabel(key)} · ${t("seriesMean").toLowerCase()}`, fixedrange: true, showgrid: true, gridcolor: "#e9e3d9" },
+    legend: { orientation: "h", y: 1.16, font: { size: 11 } },
+    plot_bgcolor: "rgba(0,0,0,0)", paper_bgcolor: "rgba(0,0,0,0)",
+    font: { family: "Archivo, sans-serif", size: 12 }
+  }, { displayModeBar: false, responsive: true });
+  resizePlot("seriesPlot");
+
+  const tableWrap = document.getElementById("seriesTableWrap");
+  if (!tableWrap) return;
+  const row = (label, st, head) => `
+    <tr${head ? ' style="background:var(--th-bg);"' : ""}>
+      <td class="col-left" style="${head ? "font-weight:700;" : "padding-left:24px; font-family:'IBM Plex Mono',monospace;"}">${label}</td>
+      <td class="col-num">${st.count}</td>
+      <td class="col-num" style="${head ? "font-weight:700;" : ""}">${fmt(st.mean, digits)}</td>
+      <td class="col-num">${fmt(st.median, digits)}</td>
+      <td class="col-left">${st.best.label} <span style="color:var(--muted);">${fmt(st.best.value, digits)}</span></td>
+    </tr>`;
+  tableWrap.innerHTML = `<table>
+    <thead><tr>
+      <th class="col-left">${t("filterSeries")}</th><th>${t("seriesEditions")}</th>
+      <th>${t("seriesMean")}</th><th>${t("seriesMedian")}</th><th class="col-left">${t("seriesBest")}</th>
+    </tr></thead>
+    <tbody>${stats.map((s, i) => row(`${i + 1}. ${s.series} · ${t("seriesAllYears")}`, s.all, true) + s.years.map(y => row(y.year, y)).join("")).join("")}</tbody>
+  </table>`;
+  tableWrap.style.display = stats.length ? "" : "none";
 }
 
 // ---- Selection helpers ----
+// Year and chip shortcuts stay within the default score type so they never build a
+// mixed ranking; UTMB Index editions are added by hand, or come along once the
+// conversion is on.
+function isShortcutScoreType(meta) {
+  return state.scoreConversion || ((meta?.score_type || DEFAULT_SCORE_TYPE) === DEFAULT_SCORE_TYPE && !meta?.mixed_scores);
+}
+
 function setSelectionByYear(selectedSet, year, filters = null) {
   selectedSet.clear();
   for (const c of getManifestEntries()) {
     const meta = getCourseMeta(c.race_id);
-    if (meta?.year === year && (!filters || matchesFilters(meta, filters))) selectedSet.add(c.race_id);
+    if (meta?.year === year && (!filters || matchesFilters(meta, filters)) && isShortcutScoreType(meta)) selectedSet.add(c.race_id);
   }
 }
 
@@ -831,98 +1651,619 @@ function applyFiltersToSelection(selectedSet, filters) {
   }
 }
 
-// ---- RCI computation ----
-function getRciResultsForMode(results, gender, normalizeFemale) {
-  const filtered = filterResultsByGender(results, gender);
-  if (!normalizeFemale || gender !== "female") return filtered;
-  return filtered.map(r => ({ ...r, index: normalizeItraFemaleIndex(r.index) }));
-}
+// ---- RCI summaries ----
+// Per-edition RCI at the fixed levels, per gender. Feeds the RCI table, Parity and
+// Trends without pulling full finisher lists when the source can compute them itself.
+// A custom formula (or custom N) is only known client-side, so those summaries are
+// always computed from the full results.
+const RCI_SUMMARY_LEVELS = [3, 5, 10, 20];
+const rciSummaryCache = new Map();
 
-async function getRciRowsForGender(gender, options = {}) {
-  const selectedSet = options.selectedSet || state.rciNormSelected;
-  const filters = options.filters || state.rciNormFilters;
-  const sorts = options.sorts || state.rciNormSorts;
-  const normalizeFemale = Boolean(options.normalizeFemale);
+function rciLevelsFor(formula) {
+  return formula.n && !RCI_SUMMARY_LEVELS.includes(formula.n) ? [...RCI_SUMMARY_LEVELS, formula.n] : RCI_SUMMARY_LEVELS;
+}
 
-  const ids = Array.from(selectedSet).sort();
-  const courses = await Promise.all(ids.map(id => loadCourse(id).catch(() => null)));
-  const rows = [];
+function emptyRciSummary() {
+  return { finishers: 0, gini: NaN, auc: NaN, ...Object.fromEntries(RCI_SUMMARY_LEVELS.map(n => [`rc${n}`, NaN])) };
+}
 
-  for (let i = 0; i < ids.length; i++) {
-    const course = courses[i];
-    if (!course) continue;
-    const meta = course.meta || {};
-    if (!matchesFilters(meta, filters)) continue;
-    const raceGender = inferRaceGender(meta);
-    if (raceGender && raceGender !== gender) continue;
-    const filtered = getRciResultsForMode(course.results, gender, normalizeFemale);
-    const row = {
-      base_race_id: meta.base_race_id || null,
-      name: getCourseLabel(course),
-      country: meta.country || "",
-      series: normalizeSeries(meta.series).join(", "),
-      rc3: rciFromResults(filtered, 3, false),
-      rc5: rciFromResults(filtered, 5, false),
-      rc10: rciFromResults(filtered, 10, false),
-      rc20: rciFromResults(filtered, 20, false)
-    };
-    if (![row.rc3, row.rc5, row.rc10, row.rc20].some(Number.isFinite)) continue;
-    rows.push(row);
+function summarizeRci(results, { normalizeFemale = true, aucRank = AUC_DEFAULT_RANK, formula = DEFAULT_RCI_FORMULA } = {}) {
+  const out = {};
+  for (const sex of ["female", "male"]) {
+    const filtered = getRciResultsForMode(results, sex, normalizeFemale);
+    out[sex] = { finishers: filtered.length, gini: gini(filtered.map(r => r.index)), auc: aucFromResults(filtered, aucRank) };
+    for (const n of rciLevelsFor(formula)) out[sex][`rc${n}`] = rciFromResults(filtered, n, false, formula);
   }
+  return out;
+}
 
-  const sort = sorts[gender];
-  rows.sort((a, b) => {
-    const va = a[sort.key]; const vb = b[sort.key];
-    const aNum = Number.isFinite(va); const bNum = Number.isFinite(vb);
-    let cmp = 0;
-    if (aNum && bNum) cmp = va - vb;
-    else cmp = String(va ?? "").localeCompare(String(vb ?? ""));
-    return sort.dir === "asc" ? cmp : -cmp;
-  });
-  return rows;
+async function loadRciSummaries(ids, { normalizeFemale = true, aucRank = state.aucRank, formula = state.rciFormula } = {}) {
+  const options = { normalizeFemale, aucRank, formula: { ...formula } };
+  const signature = JSON.stringify({ ...options, ...normalizationSignature(normalizeFemale) });
+  const key = id => `${id}|${signature}`;
+  const missing = ids.filter(id => !rciSummaryCache.has(key(id)));
+  if (missing.length) {
+    const source = getDataSource();
+    const serverCanCompute = isDefaultRciFormula(formula) && rciLevelsFor(formula) === RCI_SUMMARY_LEVELS
+      && serverMatchesNormalization(normalizeFemale);
+    let remote = null;
+    if (source.getRciSummaries && serverCanCompute) {
+      try {
+        remote = await source.getRciSummaries(missing, options);
+      } catch (err) {
+        console.warn("[rci] server summary failed, computing locally:", err.message);
+      }
+    }
+    if (remote) {
+      for (const id of missing) rciSummaryCache.set(key(id), remote[id] || { female: emptyRciSummary(), male: emptyRciSummary() });
+    } else {
+      const courses = await Promise.all(missing.map(id => loadCourse(id).catch(() => null)));
+      missing.forEach((id, i) => {
+        if (courses[i]) rciSummaryCache.set(key(id), summarizeRci(courses[i].results, options));
+      });
+    }
+  }
+  const out = new Map();
+  for (const id of ids) if (rciSummaryCache.has(key(id))) out.set(id, rciSummaryCache.get(key(id)));
+  return out;
 }
 
-// ---- CSV export ----
-function csvCell(value) {
-  const s = value === null || value === undefined ? "" : String(value);
-  return `"${s.replace(/"/g, '""')}"`;
+// ---- Bootstrap intervals ----
+// Resamples each field's finishers with replacement and recomputes the RCI with the
+// active formula, giving a percentile interval per level. Runs in a Web Worker built
+// from the same math helpers; only rank-ordered index lists cross the boundary.
+const BOOTSTRAP_ITERATIONS = 1000;
+const BOOTSTRAP_LEVEL = 0.9;
+const rciIntervalCache = new Map();
+
+function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
 }
 
-function rowsToCsv(rows) {
-  const header = ["Race", "Country", "Series", "RCI3", "RCI5", "RCI10", "RCI20"];
-  const lines = [header.map(csvCell).join(",")];
-  for (const r of rows) {
-    lines.push([
-      r.name, r.country || "", r.series || "",
-      Number.isFinite(r.rc3) ? r.rc3.toFixed(2) : "",
-      Number.isFinite(r.rc5) ? r.rc5.toFixed(2) : "",
-      Number.isFinite(r.rc10) ? r.rc10.toFixed(2) : "",
-      Number.isFinite(r.rc20) ? r.rc20.toFixed(2) : ""
-    ].map(csvCell).join(","));
+// `scores` are index values in finishing order. The top m of a resample are the m
+// smallest drawn positions, generated directly as uniform order statistics — O(m)
+// per iteration instead of redrawing the whole field.
+function bootstrapRci(scores, levels, formula, iterations = BOOTSTRAP_ITERATIONS, level = BOOTSTRAP_LEVEL) {
+  const size = scores.length;
+  const out = {};
+  if (!size) return out;
+  const skip = formula.trimTop ? 1 : 0;
+  const depth = Math.min(size, Math.max(...levels) + skip);
+  const draws = Object.fromEntries(levels.map(n => [n, []]));
+  const top = new Array(depth);
+  for (let it = 0; it < iterations; it++) {
+    let u = 0;
+    for (let i = 0; i < depth; i++) {
+      u = 1 - (1 - u) * Math.pow(Math.random(), 1 / (size - i));
+      top[i] = scores[Math.min(size - 1, Math.floor(u * size))];
+    }
+    for (const n of levels) draws[n].push(rciFromValues(top.slice(skip, Math.min(depth, n + skip)), formula));
   }
-  return lines.join("\n");
+  const tail = (1 - level) / 2;
+  for (const n of levels) {
+    const xs = draws[n].filter(Number.isFinite).sort((a, b) => a - b);
+    out[`rc${n}`] = { lo: percentile(xs, tail), hi: percentile(xs, 1 - tail) };
+  }
+  return out;
 }
 
-function triggerCsvDownload(filename, csvContent) {
-  const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement("a");
-  link.href = url; link.download = filename;
-  document.body.appendChild(link); link.click();
-  document.body.removeChild(link); URL.revokeObjectURL(url);
+function ciHalfWidth(ci) {
+  return ci ? (ci.hi - ci.lo) / 2 : NaN;
 }
 
-function triggerJsonDownload(filename, value) {
-  const text = `${JSON.stringify(value, null, 2)}\n`;
-  const blob = new Blob([text], { type: "application/json;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement("a");
-  link.href = url; link.download = filename;
-  document.body.appendChild(link); link.click();
-  document.body.removeChild(link); URL.revokeObjectURL(url);
+let bootstrapWorker = null;
+let bootstrapSeq = 0;
+const bootstrapPending = new Map();
+
+function getBootstrapWorker() {
+  if (bootstrapWorker !== null) return bootstrapWorker || null;
+  try {
+    const source = [
+      `const DEFAULT_RCI_FORMULA = ${JSON.stringify(DEFAULT_RCI_FORMULA)};`,
+      `const BOOTSTRAP_ITERATIONS = ${BOOTSTRAP_ITERATIONS};`,
+      `const BOOTSTRAP_LEVEL = ${BOOTSTRAP_LEVEL};`,
+      ...[mean, stdPop, median, madScaled, rciFromValues, percentile, bootstrapRci].map(String),
+      "onmessage = e => postMessage({ seq: e.data.seq, results: e.data.jobs.map(j => bootstrapRci(j.scores, j.levels, e.data.formula)) });"
+    ].join("\n");
+    bootstrapWorker = new Worker(URL.createObjectURL(new Blob([source], { type: "text/javascript" })));
+    bootstrapWorker.onmessage = e => {
+      const pending = bootstrapPending.get(e.data.seq);
+      bootstrapPending.delete(e.data.seq);
+      pending?.resolve(e.data.results);
+    };
+    bootstrapWorker.onerror = e => {
+      for (const pending of bootstrapPending.values()) pending.reject(new Error(e.message || "bootstrap worker failed"));
+      bootstrapPending.clear();
+    };
+  } catch (err) {
+    console.warn("[bootstrap] worker unavailable, computing on the main thread:", err.message);
+    bootstrapWorker = false;
+  }
+  return bootstrapWorker || null;
 }
 
-async function exportRciCsv(gender, options = {}) {
+function runBootstrapJobs(jobs, formula) {
+  const worker = getBootstrapWorker();
+  if (!worker) return Promise.resolve(jobs.map(j => bootstrapRci(j.scores, j.levels, formula)));
+  const seq = ++bootstrapSeq;
+  return new Promise((resolve, reject) => {
+    bootstrapPending.set(seq, { resolve, reject });
+    worker.postMessage({ seq, jobs, formula });
+  });
+}
+
+// Map of edition id → { female: { rc5: { lo, hi }, … }, male: … } for the active formula.
+async function loadRciIntervals(ids, { normalizeFemale = true, formula = state.rciFormula } = {}) {
+  const signature = JSON.stringify({ ...normalizationSignature(normalizeFemale), formula });
+  const key = id => `${id}|${signature}`;
+  const missing = ids.filter(id => !rciIntervalCache.has(key(id)));
+  if (missing.length) {
+    const courses = await Promise.all(missing.map(id => loadCourse(id).catch(() => null)));
+    const jobs = [];
+    missing.forEach((id, i) => {
+      if (!courses[i]) return;
+      for (const sex of ["female", "male"]) {
+        const filtered = getRciResultsForMode(courses[i].results, sex, normalizeFemale);
+        jobs.push({ id, sex, levels: rciLevelsFor(formula), scores: topScoresFrom(filtered, filtered.length, false) });
+      }
+    });
+    try {
+      const results = await runBootstrapJobs(jobs, { ...formula });
+      jobs.forEach((job, i) => {
+        const entry = rciIntervalCache.get(key(job.id)) || {};
+        entry[job.sex] = results[i];
+        rciIntervalCache.set(key(job.id), entry);
+      });
+    } catch (err) {
+      console.warn("[bootstrap]", err.message);
+    }
+  }
+  const out = new Map();
+  for (const id of ids) if (rciIntervalCache.has(key(id))) out.set(id, rciIntervalCache.get(key(id)));
+  return out;
+}
+
+// ---- Female normalization & score conversion ----
+// Maps women's index values onto the men's scale before RCI is computed, with one
+// model per score type. Kinds: the built-in ITRA quadratic, a curve fitted on our own
+// data by quantile matching, or none (the UTMB Index has no published curve, so it
+// starts as none). Separately, an optional conversion model maps UTMB Index values onto
+// the ITRA scale so editions of both types can share a ranking.
+// Active models live in normalization_models (see schema.sql); the female model's id
+// is written to edition_metrics.normalization and to every RCI export.
+// Bump an id whenever its curve changes, then run "Recompute metrics" in admin.
+const BUILTIN_NORMALIZATIONS = Object.freeze({
+  itra: Object.freeze({ id: "itra-f-quad-v1", kind: "builtin", role: "female", score_type: "itra", params: {} }),
+  utmb: Object.freeze({ id: "utmb-f-none-v1", kind: "none", role: "female", score_type: "utmb", params: {} })
+});
+const NO_NORMALIZATIONS = Object.freeze({
+  itra: Object.freeze({ id: "none-v1", kind: "none", role: "female", score_type: "itra", params: {} }),
+  utmb: BUILTIN_NORMALIZATIONS.utmb
+});
+const activeNormalizations = { ...BUILTIN_NORMALIZATIONS };
+const activeConversions = {};
+
+function interpolateKnots(knots, x) {
+  if (!knots?.length) return x;
+  // Outside the fitted range, keep the end knot's offset: the extreme quantiles rest on
+  // a handful of runners, so extending their slope would amplify noise.
+  const first = knots[0];
+  const last = knots[knots.length - 1];
+  if (x <= first[0]) return x + (first[1] - first[0]);
+  if (x >= last[0]) return x + (last[1] - last[0]);
+  let i = 1;
+  while (x > knots[i][0]) i++;
+  const [x0, y0] = knots[i - 1];
+  const [x1, y1] = knots[i];
+  return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+function applyNormalization(score, model = activeNormalizations[DEFAULT_SCORE_TYPE]) {
+  if (!Number.isFinite(score)) return NaN;
+  if (model.kind === "none") return score;
+  if (model.kind === "quantile") return interpolateKnots(model.params.knots, score);
+  return normalizeItraFemaleIndex(score);
+}
+
+function applyConversion(score, model, gender) {
+  if (!Number.isFinite(score)) return NaN;
+  return interpolateKnots(model.params[gender], score);
+}
+
+// The edition_rci() RPC only knows the built-in ITRA curve and identity for UTMB rows,
+// and no conversions.
+function serverMatchesNormalization(normalizeFemale) {
+  if (state.scoreConversion) return false;
+  if (!normalizeFemale) return true;
+  return activeNormalizations.itra.kind !== "quantile" && activeNormalizations.utmb.kind === "none";
+}
+
+function normalizationSignature(normalizeFemale) {
+  return {
+    normalization: normalizeFemale ? SCORE_TYPES.map(t => activeNormalizations[t].id) : null,
+    conversion: state.scoreConversion ? SCORE_TYPES.map(t => activeConversions[t]?.id || null) : null
+  };
+}
+
+// Quantile matching: the p-th quantile of one distribution maps to the p-th quantile
+// of the other. Knots are denser at the top, where RCI lives.
+const NORMALIZATION_QUANTILES = [
+  ...Array.from({ length: 90 }, (_, i) => (i + 1) / 100),
+  ...Array.from({ length: 19 }, (_, i) => 0.905 + i * 0.005),
+  0.999
+];
+
+function fitQuantileMap(fromValues, toValues) {
+  const from = fromValues.filter(v => Number.isFinite(v) && v > 0).sort((a, b) => a - b);
+  const to = toValues.filter(v => Number.isFinite(v) && v > 0).sort((a, b) => a - b);
+  if (from.length < 100 || to.length < 100) throw new Error(`Not enough finishers to fit (${from.length} → ${to.length}).`);
+  const knots = [];
+  for (const p of NORMALIZATION_QUANTILES) {
+    const x = percentile(from, p);
+    const y = Math.max(percentile(to, p), knots.length ? knots[knots.length - 1][1] : -Infinity);
+    if (knots.length && x <= knots[knots.length - 1][0]) continue;
+    knots.push([Number(x.toFixed(2)), Number(y.toFixed(2))]);
+  }
+  return knots;
+}
+
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// Every finisher's raw index, bucketed by effective score type and gender.
+async function collectIndexValues(onProgress = () => {}) {
+  const ids = getManifestEntries().map(c => c.race_id);
+  const values = Object.fromEntries(SCORE_TYPES.map(t => [t, { female: [], male: [] }]));
+  let editions = 0;
+  for (const id of ids) {
+    onProgress(editions + 1, ids.length);
+    try {
+      const results = withScoreType(await getDataSource().getResults(id), getCourseMeta(id));
+      for (const sex of ["female", "male"]) {
+        for (const r of filterResultsByGender(results, sex)) values[r.score_type][sex].push(r.index);
+      }
+      editions++;
+    } catch (err) {
+      console.warn("[normalization]", id, err.message);
+    }
+  }
+  return { values, editions };
+}
+
+function modelStamp(params) {
+  return `${new Date().toISOString().slice(0, 10).replace(/-/g, "")}-${hashString(JSON.stringify(params))}`;
+}
+
+async function fitNormalizationFromData(scoreType = DEFAULT_SCORE_TYPE, onProgress) {
+  const { values, editions } = await collectIndexValues(onProgress);
+  const { female, male } = values[scoreType];
+  const knots = fitQuantileMap(female, male);
+  return {
+    id: `${scoreType}-f-qm-${modelStamp(knots)}`,
+    kind: "quantile",
+    role: "female",
+    score_type: scoreType,
+    params: { knots },
+    fitted_on: { editions, female: female.length, male: male.length }
+  };
+}
+
+// UTMB Index → ITRA, per gender, so women's values still go through the ITRA curve.
+async function fitScoreConversionFromData(onProgress) {
+  const { values, editions } = await collectIndexValues(onProgress);
+  const params = {
+    female: fitQuantileMap(values.utmb.female, values.itra.female),
+    male: fitQuantileMap(values.utmb.male, values.itra.male)
+  };
+  return {
+    id: `utmb-to-itra-qm-${modelStamp(params)}`,
+    kind: "quantile",
+    role: "conversion",
+    score_type: "utmb",
+    target: "itra",
+    params,
+    fitted_on: {
+      editions,
+      utmb: values.utmb.female.length + values.utmb.male.length,
+      itra: values.itra.female.length + values.itra.male.length
+    }
+  };
+}
+
+async function loadNormalizationModels() {
+  const source = getDataSource();
+  if (!source.getNormalizationModels) return;
+  try {
+    for (const model of await source.getNormalizationModels()) {
+      const type = normalizeScoreType(model.score_type) || DEFAULT_SCORE_TYPE;
+      if (model.role === "conversion") activeConversions[type] = { ...model, target: DEFAULT_SCORE_TYPE };
+      else activeNormalizations[type] = model;
+    }
+  } catch (err) {
+    console.warn("[normalization] using the built-in curves:", err.message);
+  }
+}
+
+async function saveNormalizationModel(model) {
+  if (!window.supabaseClient) throw new Error("Supabase not configured.");
+  // One active row per score type and role (partial unique index): clear the flag first.
+  const { error: offErr } = await window.supabaseClient
+    .from("normalization_models").update({ active: false })
+    .eq("active", true).eq("score_type", model.score_type).eq("role", model.role);
+  if (offErr) throw new Error("Deactivate model: " + offErr.message);
+  const { error } = await window.supabaseClient.from("normalization_models").upsert({
+    id: model.id, kind: model.kind, role: model.role, score_type: model.score_type,
+    params: model.params, fitted_on: model.fitted_on || null, active: true
+  });
+  if (error) throw new Error("Save model: " + error.message);
+  if (model.role === "conversion") activeConversions[model.score_type] = model;
+  else activeNormalizations[model.score_type] = model;
+  rciSummaryCache.clear();
+  rciIntervalCache.clear();
+}
+
+function renderNormalizationPreview(model) {
+  const el = document.getElementById("normPreview");
+  if (!el) return;
+  const isConversion = model.role === "conversion";
+  const rows = [400, 500, 600, 700, 800, 900].map(v => isConversion
+    ? `<tr><td>${v}</td><td>${fmt(applyConversion(v, model, "male"), 0)}</td><td>${fmt(applyConversion(v, model, "female"), 0)}</td></tr>`
+    : `<tr><td>${v}</td><td>${fmt(normalizeItraFemaleIndex(v), 0)}</td><td>${fmt(applyNormalization(v, model), 0)}</td></tr>`).join("");
+  const head = isConversion
+    ? "<th>UTMB</th><th>ITRA M</th><th>ITRA F</th>"
+    : "<th>F index</th><th>Built-in</th><th>Selected</th>";
+  const fitted = model.fitted_on
+    ? `<div class="note">${Object.entries(model.fitted_on).map(([k, v]) => `${k}: ${v}`).join(" · ")}</div>`
+    : "";
+  el.innerHTML = `
+    <div class="note" style="margin:6px 0; font-family:'IBM Plex Mono',monospace;">${model.id}</div>${fitted}
+    <table><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// ---- Score types in rankings ----
+function scoreTypesOf(ids) {
+  const types = new Set();
+  for (const id of ids) {
+    const meta = getCourseMeta(id);
+    if (!meta) continue;
+    types.add(meta.score_type || DEFAULT_SCORE_TYPE);
+    if (meta.mixed_scores) SCORE_TYPES.forEach(t => types.add(t));
+  }
+  return types;
+}
+
+function canConvertScoreTypes(types) {
+  return state.scoreConversion && [...types].every(t => t === DEFAULT_SCORE_TYPE || activeConversions[t]);
+}
+
+// Rankings never mix ITRA and UTMB Index values unless a conversion is on.
+function assertSingleScoreType(ids) {
+  const types = scoreTypesOf(ids);
+  if (types.size <= 1 || canConvertScoreTypes(types)) return;
+  const labels = [...types].map(t => SCORE_TYPE_LABELS[t]).join(" + ");
+  const err = new Error(t("mixedScoreTypes").replace("{types}", labels));
+  err.code = "mixed-score-types";
+  throw err;
+}
+
+// ---- Stored edition metrics ----
+// Rows carry the normalization ids they were computed with, one per score type the
+// edition can hold ("itra-f-quad-v1+utmb-f-none-v1" for a mixed edition); public reads
+// ignore rows from other models, so switching models only needs "Recompute metrics".
+// Metrics never depend on the admin's session: no conversion, default formula.
+
+function editionNormalizationId(meta) {
+  const type = meta?.score_type || DEFAULT_SCORE_TYPE;
+  const types = meta?.mixed_scores ? SCORE_TYPES : [type];
+  return types.map(t => activeNormalizations[t].id).join("+");
+}
+
+function computeEditionMetrics(editionId, results, meta = getCourseMeta(editionId)) {
+  const rows = [];
+  for (const sex of ["female", "male"]) {
+    const filtered = getRciResultsForMode(results, sex, true, false);
+    if (!filtered.length) continue;
+    const ranked = topScoresFrom(filtered, filtered.length, false);
+    const row = {
+      edition_id: editionId,
+      gender: sex === "female" ? "F" : "M",
+      finishers: ranked.length,
+      top_index: ranked[0] ?? null,
+      gini: Number.isFinite(gini(ranked)) ? gini(ranked) : null,
+      auc50: Number.isFinite(aucFromResults(filtered, AUC_DEFAULT_RANK)) ? aucFromResults(filtered, AUC_DEFAULT_RANK) : null,
+      normalization: editionNormalizationId(meta),
+      computed_at: new Date().toISOString()
+    };
+    for (const n of RCI_SUMMARY_LEVELS) {
+      const rci = rciFromResults(filtered, n, false);
+      row[`rc${n}`] = Number.isFinite(rci) ? rci : null;
+      row[`idx${n}`] = ranked[n - 1] ?? null;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+async function saveEditionMetrics(editionId, results, meta = getCourseMeta(editionId)) {
+  if (!window.supabaseClient) throw new Error("Supabase not configured.");
+  const { error: delErr } = await window.supabaseClient.from("edition_metrics").delete().eq("edition_id", editionId);
+  if (delErr) throw new Error("Delete metrics: " + delErr.message);
+  const rows = computeEditionMetrics(editionId, withScoreType(results, meta), meta);
+  if (!rows.length) return { count: 0 };
+  const { error } = await window.supabaseClient.from("edition_metrics").insert(rows);
+  if (error) throw new Error("Insert metrics: " + error.message);
+  return { count: rows.length };
+}
+
+async function recomputeAllMetrics() {
+  if (state.metricsRunning) return;
+  const statusEl = document.getElementById("metricsStatus");
+  const btn = document.getElementById("recomputeMetricsBtn");
+  const ids = getManifestEntries().map(c => c.race_id);
+  state.metricsRunning = true;
+  if (btn) btn.disabled = true;
+  let ok = 0, fail = 0;
+  for (const id of ids) {
+    if (statusEl) statusEl.textContent = `Recomputing ${ok + fail + 1} / ${ids.length}…`;
+    try {
+      await saveEditionMetrics(id, await getDataSource().getResults(id), getCourseMeta(id));
+      ok++;
+    } catch (err) {
+      console.warn("[metrics]", id, err.message);
+      fail++;
+    }
+  }
+  rciSummaryCache.clear();
+  state.metricsRunning = false;
+  if (btn) btn.disabled = false;
+  if (statusEl) statusEl.textContent = `Metrics ${SCORE_TYPES.map(t => activeNormalizations[t].id).join(", ")}: ${ok} editions updated${fail ? `, ${fail} failed` : ""}.`;
+}
+
+// ---- RCI computation ----
+// Conversion (when on) brings UTMB Index values onto the ITRA scale first; women's
+// values then go through the normalization of the type they ended up in.
+function getRciResultsForMode(results, gender, normalizeFemale, convert = state.scoreConversion) {
+  const filtered = filterResultsByGender(results, gender);
+  const normalize = normalizeFemale && gender === "female";
+  if (!normalize && !convert) return filtered;
+  return filtered.map(r => {
+    let type = r.score_type || DEFAULT_SCORE_TYPE;
+    let index = r.index;
+    const conversion = convert ? activeConversions[type] : null;
+    if (conversion) {
+      index = applyConversion(index, conversion, gender);
+      type = conversion.target;
+    }
+    if (normalize) index = applyNormalization(index, activeNormalizations[type]);
+    return { ...r, index, score_type: type };
+  });
+}
+
+function scoreTypeLabel(meta) {
+  const type = meta?.score_type || DEFAULT_SCORE_TYPE;
+  const types = meta?.mixed_scores ? SCORE_TYPES : [type];
+  return types.map(t => state.scoreConversion && activeConversions[t] ? `${t}→${activeConversions[t].target}` : t).join("+");
+}
+
+async function getRciRowsForGender(gender, options = {}) {
+  const selectedSet = options.selectedSet || state.rciNormSelected;
+  const filters = options.filters || state.rciNormFilters;
+  const sorts = options.sorts || state.rciNormSorts;
+  const normalizeFemale = Boolean(options.normalizeFemale);
+
+  const ids = Array.from(selectedSet).sort();
+  assertSingleScoreType(ids);
+  const summaries = await loadRciSummaries(ids, { normalizeFemale });
+  const intervals = state.rciCi ? await loadRciIntervals(ids, { normalizeFemale }) : null;
+  const rows = [];
+
+  for (const id of ids) {
+    const summary = summaries.get(id);
+    if (!summary) continue;
+    const meta = getCourseMeta(id) || {};
+    if (!matchesFilters(meta, filters)) continue;
+    const raceGender = inferRaceGender(meta);
+    if (raceGender && raceGender !== gender) continue;
+    const s = summary[gender];
+    const row = {
+      id,
+      base_race_id: meta.base_race_id || null,
+      name: getCourseLabel({ meta, race_id: id }),
+      country: meta.country || "",
+      series: normalizeSeries(meta.series).join(", "),
+      rc3: s.rc3,
+      rc5: s.rc5,
+      rc10: s.rc10,
+      rc20: s.rc20,
+      gini: s.gini,
+      auc: s.auc,
+      rcx: state.rciFormula.n ? s[`rc${state.rciFormula.n}`] : NaN,
+      ci: intervals?.get(id)?.[gender] || null,
+      scoreType: scoreTypeLabel(meta),
+      normalization: normalizeFemale && gender === "female"
+        ? activeNormalizations[state.scoreConversion && activeConversions[meta.score_type] ? DEFAULT_SCORE_TYPE : meta.score_type || DEFAULT_SCORE_TYPE].id
+        : NO_NORMALIZATIONS[DEFAULT_SCORE_TYPE].id
+    };
+    if (![row.rc3, row.rc5, row.rc10, row.rc20].some(Number.isFinite)) continue;
+    rows.push(row);
+  }
+
+  const sort = sorts[gender];
+  rows.sort((a, b) => {
+    const va = a[sort.key]; const vb = b[sort.key];
+    const aNum = Number.isFinite(va); const bNum = Number.isFinite(vb);
+    let cmp = 0;
+    if (aNum && bNum) cmp = va - vb;
+    else cmp = String(va ?? "").localeCompare(String(vb ?? ""));
+    return sort.dir === "asc" ? cmp : -cmp;
+  });
+  return rows;
+}
+
+// ---- CSV export ----
+function csvCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return `"${s.replace(/"/g, '""')}"`;
+}
+
+function rowsToCsv(rows, aucRank = state.aucRank, formula = state.rciFormula) {
+  // Non-default formulas are spelled out in the headers so exported numbers stay traceable.
+  const rciHeader = n => isDefaultRciFormula(formula) ? `RCI${n}` : describeRciFormula(n, formula);
+  // With bootstrap intervals on, each RCI column is followed by its ± half-width.
+  const withCi = rows.some(r => r.ci);
+  const num = (v, digits) => Number.isFinite(v) ? v.toFixed(digits) : "";
+  const rciCols = n => {
+    const key = n === formula.n && !RCI_SUMMARY_LEVELS.includes(n) ? "rcx" : `rc${n}`;
+    const cols = [{ label: rciHeader(n), value: r => num(r[key], 2) }];
+    if (withCi) cols.push({ label: `RCI${n} ±${BOOTSTRAP_LEVEL * 100}%`, value: r => num(ciHalfWidth(r.ci?.[`rc${n}`]), 2) });
+    return cols;
+  };
+  const columns = [
+    { label: "Race", value: r => r.name },
+    { label: "Country", value: r => r.country || "" },
+    { label: "Series", value: r => r.series || "" },
+    ...[3, 5, 10, 20].flatMap(rciCols),
+    { label: "Gini", value: r => num(r.gini, 4) },
+    { label: `AUC${aucRank}`, value: r => num(r.auc, 4) },
+    ...(formula.n && !RCI_SUMMARY_LEVELS.includes(formula.n) ? rciCols(formula.n) : []),
+    { label: "Score type", value: r => r.scoreType || "" },
+    { label: "Normalization", value: r => r.normalization || "" }
+  ];
+  const lines = [columns.map(c => csvCell(c.label)).join(",")];
+  for (const r of rows) lines.push(columns.map(c => csvCell(c.value(r))).join(","));
+  return lines.join("\n");
+}
+
+function triggerCsvDownload(filename, csvContent) {
+  const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url; link.download = filename;
+  document.body.appendChild(link); link.click();
+  document.body.removeChild(link); URL.revokeObjectURL(url);
+}
+
+function triggerJsonDownload(filename, value) {
+  const text = `${JSON.stringify(value, null, 2)}\n`;
+  const blob = new Blob([text], { type: "application/json;charset=utf-8;" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url; link.download = filename;
+  document.body.appendChild(link); link.click();
+  document.body.removeChild(link); URL.revokeObjectURL(url);
+}
+
+async function exportRciCsv(gender, options = {}) {
   const rows = await getRciRowsForGender(gender, options);
   const csv = rowsToCsv(rows);
   const stamp = new Date().toISOString().slice(0, 10);
@@ -933,6 +2274,171 @@ async function exportRciCsv(gender, options = {}) {
   triggerCsvDownload(filename, csv);
 }
 
+// ---- Results export ----
+// Finisher lists of the selected editions as published (raw index), plus the female index
+// after the active normalization in index_normalized, so the RCIs can be recomputed.
+// CSV is one file with an edition column; JSON is a list of {meta, results} like
+// data/courses/*.json; XLSX has one sheet per edition and an "editions" sheet of metadata.
+const XLSX_SCRIPT_URL = "https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js";
+const RESULT_EXPORT_COLUMNS = ["rank", "runner", "gender", "nationality", "score_type", "index", "index_normalized"];
+const RESULT_EXPORT_META = ["race_id", "base_race_id", "name", "year", "country", "series", "distance_km", "elevation_gain", "score_type", "projected"];
+const scriptLoads = new Map();
+
+function loadScriptOnce(src) {
+  if (!scriptLoads.has(src)) {
+    scriptLoads.set(src, new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => { scriptLoads.delete(src); reject(new Error(`Failed to load ${src}`)); };
+      document.head.appendChild(script);
+    }));
+  }
+  return scriptLoads.get(src);
+}
+
+function exportResultRow(r) {
+  const type = r.score_type || DEFAULT_SCORE_TYPE;
+  const female = normalizeGenderLabel(r.gender) === "female";
+  return {
+    rank: r.rank, runner: r.runner, gender: r.gender, nationality: r.nationality, score_type: type, index: r.index,
+    index_normalized: female ? Math.round(applyNormalization(r.index, activeNormalizations[type]) * 100) / 100 : null
+  };
+}
+
+async function loadResultsExport() {
+  const ids = Array.from(state.rciNormSelected).sort();
+  if (!ids.length) throw new Error(t("exportNothing"));
+  const courses = await Promise.all(ids.map(loadCourse));
+  return courses.map((course, i) => {
+    const type = course.meta.score_type || DEFAULT_SCORE_TYPE;
+    return {
+      meta: { ...course.meta, race_id: ids[i], index_normalized_model: activeNormalizations[type].id },
+      results: course.results.map(exportResultRow)
+    };
+  });
+}
+
+async function exportResults(format) {
+  const editions = await loadResultsExport();
+  const stamp = new Date().toISOString().slice(0, 10);
+  const base = editions.length === 1 ? `results_${editions[0].meta.race_id}` : `results_${editions.length}_editions`;
+  if (format === "json") {
+    triggerJsonDownload(`${base}_${stamp}.json`, editions);
+    return;
+  }
+  if (format === "csv") {
+    const lines = [["edition", ...RESULT_EXPORT_COLUMNS].map(csvCell).join(",")];
+    for (const { meta, results } of editions) {
+      for (const row of results) lines.push([meta.race_id, ...RESULT_EXPORT_COLUMNS.map(col => row[col])].map(csvCell).join(","));
+    }
+    triggerCsvDownload(`${base}_${stamp}.csv`, lines.join("\n"));
+    return;
+  }
+  await loadScriptOnce(XLSX_SCRIPT_URL);
+  const book = XLSX.utils.book_new();
+  const metaRows = editions.map(({ meta, results }) => ({
+    ...Object.fromEntries(RESULT_EXPORT_META.map(key => [key, Array.isArray(meta[key]) ? meta[key].join(", ") : meta[key] ?? null])),
+    index_normalized_model: meta.index_normalized_model,
+    finishers: results.length
+  }));
+  XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(metaRows), "editions");
+  const used = new Set(["editions"]);
+  for (const { meta, results } of editions) {
+    // Sheet names: 31 characters at most, no []:*?/\ and unique within the workbook.
+    const sheet = String(meta.race_id).replace(/[[\]:*?/\\]/g, "_");
+    let name = sheet.slice(0, 31);
+    for (let k = 2; used.has(name.toLowerCase()); k++) name = `${sheet.slice(0, 28)}~${k}`;
+    used.add(name.toLowerCase());
+    XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(results, { header: RESULT_EXPORT_COLUMNS }), name);
+  }
+  XLSX.writeFile(book, `${base}_${stamp}.xlsx`);
+}
+
+// ---- Chart export ----
+// Each exportable chart records, when it renders, the rows it plotted. The image is the
+// live figure re-rendered at a fixed size with a title, the selection and a source
+// line added; the data export is those same rows, so both always match what is shown.
+const CHART_EXPORT_SIZE = { width: 1200, height: 700 };
+const CHART_EXPORT_NAMES = { trendsPlot: "trends", vizParityPlot: "parity", plot: "depth" };
+const chartExports = new Map();
+
+function recordChartExport(plotId, record) {
+  chartExports.set(plotId, { ...record, exportedAt: new Date().toISOString() });
+}
+
+function selectionSummary(count = state.rciNormSelected.size) {
+  const parts = [];
+  if (!chipState.isManual) {
+    if (chipState.activeSeries.size) parts.push([...chipState.activeSeries].sort().join(", "));
+    if (chipState.activeYears.size) parts.push([...chipState.activeYears].sort((a, b) => b - a).join(", "));
+  }
+  if (chipState.activeCountry) parts.push(chipState.activeCountry);
+  parts.push(`${count} ${t("exportEditions")}`);
+  return parts.join(" · ");
+}
+
+function chartSourceLine(record) {
+  const types = [...new Set(record.ids.map(id => getCourseMeta(id)?.score_type || DEFAULT_SCORE_TYPE))];
+  const parts = [`${t("exportSource")} Trail Density`, types.map(type => SCORE_TYPE_LABELS[type] || type).join(" + ")];
+  if (record.normalized) parts.push(types.map(type => activeNormalizations[type].id).join(", "));
+  if (state.scoreConversion) parts.push(types.map(type => activeConversions[type]?.id).filter(Boolean).join(", "));
+  if (record.formula && !isDefaultRciFormula(state.rciFormula)) parts.push(describeRciFormula(record.formula));
+  parts.push(record.exportedAt.slice(0, 10));
+  return parts.filter(Boolean).join(" · ");
+}
+
+function chartExportFilename(plotId, ext) {
+  const record = chartExports.get(plotId);
+  const name = [CHART_EXPORT_NAMES[plotId] || plotId, record?.slug].filter(Boolean).join("_");
+  return `${name}_${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+async function exportChartImage(plotId, format) {
+  const gd = document.getElementById(plotId);
+  const record = chartExports.get(plotId);
+  if (!gd || !record || !gd.data) throw new Error(t("exportNothing"));
+  const base = gd.layout || {};
+  // A legend drawn above the plot (Trends) needs room between it and the title.
+  const legendAbove = (base.legend?.y ?? 0) > 1;
+  const margin = { ...base.margin, t: legendAbove ? 140 : 90, b: (base.margin?.b || 40) + 50 };
+  const layout = {
+    ...base,
+    width: CHART_EXPORT_SIZE.width,
+    height: record.height || CHART_EXPORT_SIZE.height,
+    margin,
+    paper_bgcolor: "#ffffff",
+    plot_bgcolor: "#ffffff",
+    showlegend: base.showlegend !== false || record.legend,
+    title: { text: `<b>${record.title}</b><br><span style="font-size:12px; color:#64748b;">${record.subtitle}</span>`, x: 0.02, xanchor: "left", y: 0.97, font: { size: 18 } },
+    annotations: [...(base.annotations || []), {
+      text: chartSourceLine(record), xref: "paper", yref: "paper", x: 0, y: 0, yshift: -margin.b + 14,
+      xanchor: "left", yanchor: "bottom", showarrow: false, font: { size: 10, color: "#64748b" }
+    }]
+  };
+  const url = await Plotly.toImage({ data: gd.data, layout }, { format, width: layout.width, height: layout.height });
+  const link = document.createElement("a");
+  link.href = url; link.download = chartExportFilename(plotId, format);
+  document.body.appendChild(link); link.click();
+  document.body.removeChild(link);
+}
+
+function exportChartData(plotId, format) {
+  const record = chartExports.get(plotId);
+  if (!record) throw new Error(t("exportNothing"));
+  if (format === "json") {
+    triggerJsonDownload(chartExportFilename(plotId, "json"), {
+      meta: { title: record.title, selection: record.subtitle, source: chartSourceLine(record), exported_at: record.exportedAt, editions: record.ids },
+      rows: record.rows
+    });
+    return;
+  }
+  const num = v => typeof v === "number" ? (Number.isFinite(v) ? String(Math.round(v * 10000) / 10000) : "") : v;
+  const lines = [record.columns.map(c => csvCell(c.label)).join(",")];
+  for (const row of record.rows) lines.push(record.columns.map(c => csvCell(num(row[c.key]))).join(","));
+  triggerCsvDownload(chartExportFilename(plotId, "csv"), lines.join("\n"));
+}
+
 // ---- Import helpers ----
 function parseSeriesInput(value) {
   if (!value || !String(value).trim()) return null;
@@ -959,13 +2465,35 @@ function normalizeHeaderKey(value) {
     .replace(/﻿/g, "").replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
 }
 
+// RFC 4180 style: a quoted field may contain the delimiter, and "" inside it is a quote.
+// Fields are trimmed; a quoted field spanning several lines is not supported.
 function parseDelimitedRow(line, delimiter) {
-  return line.split(delimiter).map(cell => cell.trim());
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (c === delimiter) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
 }
 
 function detectDelimiter(text) {
   const lines = text.split(/\r?\n/).filter(line => line.trim());
-  const first = lines[0] || "";
+  const first = (lines[0] || "").replace(/"(?:[^"]|"")*"/g, ""); // delimiters inside quotes do not count
   const tabCount = (first.match(/\t/g) || []).length;
   const commaCount = (first.match(/,/g) || []).length;
   const semiCount = (first.match(/;/g) || []).length;
@@ -988,10 +2516,25 @@ function toNumberLoose(value) {
   return Number(text.replace(",", "."));
 }
 
+// Score column aliases, in lookup order. Only the explicitly named columns tell us the
+// scale; the generic ones inherit the edition's score type.
+const SCORE_COLUMNS = [
+  ["race_score", null], ["score", null], ["index", null],
+  ["itra_score", "itra"], ["utmb_index", "utmb"]
+];
+
+function readScoreField(row, headers) {
+  for (const [alias, scoreType] of SCORE_COLUMNS) {
+    const idx = headers.indexOf(alias);
+    if (idx >= 0 && String(row[idx] ?? "").trim()) return { text: row[idx], scoreType };
+  }
+  return { text: "", scoreType: null };
+}
+
 function looksLikeHeader(cells) {
   const h = cells.map(normalizeHeaderKey);
   const known = new Set(["rank", "position", "pos", "place", "runner", "name", "athlete",
-    "time", "race_score", "score", "index", "itra_score", "utmb_index",
+    "time", "race_score", "score", "index", "itra_score", "utmb_index", "score_type",
     "gender", "sex", "nationality", "country", "nation", "nat"]);
   return h.some(v => known.has(v));
 }
@@ -1022,7 +2565,9 @@ function parsePastedResults(rawText) {
   for (const row of rows) {
     const rankText = readField(row, headers, ["rank", "position", "pos", "place", "overall_rank"]) || row[0] || "";
     const runnerText = readField(row, headers, ["runner", "name", "athlete", "runner_name", "full_name"]) || row[1] || "";
-    const indexText = readField(row, headers, ["race_score", "score", "index", "itra_score", "utmb_index"]) || row[3] || findLikelyScoreCell(row);
+    const score = readScoreField(row, headers);
+    const indexText = score.text || row[3] || findLikelyScoreCell(row);
+    const scoreType = normalizeScoreType(readField(row, headers, ["score_type"])) || score.scoreType;
     const genderText = readField(row, headers, ["gender", "sex"]) || row[5] || "";
     const nationalityText = readField(row, headers, ["nationality", "country", "nation", "nat"]) || row[6] || "";
     const rank = toNumberLoose(rankText);
@@ -1034,7 +2579,8 @@ function parsePastedResults(rawText) {
       runner: asNullableText(runnerText),
       index,
       gender: asNullableText(genderText),
-      nationality: asNullableText(nationalityText)
+      nationality: asNullableText(nationalityText),
+      score_type: scoreType
     });
   }
   if (!results.length) throw new Error("No valid rows found. Need numeric rank and race score/index columns.");
@@ -1085,34 +2631,347 @@ function parseItraHtml(html, url) {
   return results;
 }
 
-// ---- Admin: slug + URL utilities ----
-function slugToId(itraSlug) {
-  // "42km.du.Mont.Blanc" → "42km-du-mont-blanc"
-  return itraSlug.replace(/\./g, "-").toLowerCase();
+// ---- Start lists (projected editions) ----
+// A start list is ranked by index, best first, so the projected RCI_N is the RCI of the
+// N highest-indexed registrants of each gender: the field if everyone ran to form.
+// Registrants without an index are left out and counted as `unscored`.
+const START_NAME_COLUMNS = ["runner", "name", "athlete", "runner_name", "full_name"];
+const START_GENDER_COLUMNS = ["gender", "sex"];
+const START_NATIONALITY_COLUMNS = ["nationality", "country", "nation", "nat"];
+
+function startListFromRows(headers, rows) {
+  const col = aliases => headers.findIndex(h => aliases.includes(h));
+  const nameCol = col(START_NAME_COLUMNS);
+  const genderCol = col(START_GENDER_COLUMNS);
+  const nationalityCol = col(START_NATIONALITY_COLUMNS);
+  const scoreCol = headers.findIndex(h => h !== "score_type" && /score|index/.test(h));
+  const scoreType = scoreCol >= 0 ? normalizeScoreType(headers[scoreCol]) : null;
+  const entries = [];
+  let unscored = 0;
+  for (const row of rows) {
+    const runner = asNullableText(nameCol >= 0 ? row[nameCol] : row[0]);
+    const index = toNumberLoose(scoreCol >= 0 ? row[scoreCol] : findLikelyScoreCell(row));
+    if (!runner && !Number.isFinite(index)) continue;
+    if (!Number.isFinite(index) || index <= 0) { unscored++; continue; }
+    const sex = normalizeGenderLabel(genderCol >= 0 ? row[genderCol] : row.find(cell => normalizeGenderLabel(cell)));
+    entries.push({
+      runner,
+      index,
+      gender: sex === "female" ? "F" : sex === "male" ? "M" : null,
+      nationality: asNullableText(nationalityCol >= 0 ? row[nationalityCol] : ""),
+      score_type: scoreType
+    });
+  }
+  if (!entries.length) throw new Error("No registrant with an index found.");
+  entries.sort((a, b) => b.index - a.index);
+  entries.forEach((entry, i) => { entry.rank = i + 1; });
+  return { entries, unscored };
 }
 
-function itraUrlParts(url) {
-  const m = url.match(/\/Races\/RaceResults\/([^/]+)\/(\d{4})\/(\d+)/);
-  if (!m) return null;
-  return { slug: m[1], year: parseInt(m[2], 10), itraId: m[3] };
+// Pasted names and indexes: same delimiters and header detection as pasted results,
+// without a rank column. Headerless rows are read as name first, index last.
+function parseStartListText(rawText) {
+  const text = String(rawText || "").trim();
+  if (!text) throw new Error("Start list is empty.");
+  const delimiter = detectDelimiter(text);
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const firstRow = parseDelimitedRow(lines[0], delimiter);
+  const hasHeader = looksLikeHeader(firstRow);
+  const headers = hasHeader ? firstRow.map(normalizeHeaderKey) : [];
+  return startListFromRows(headers, (hasHeader ? lines.slice(1) : lines).map(line => parseDelimitedRow(line, delimiter)));
 }
 
-// ---- Admin: cookie ----
-function saveCookie() {
-  const val = (document.getElementById("itraCookieInput")?.value || "").trim();
-  state.itraCookie = val;
-  const statusEl = document.getElementById("cookieStatus");
-  if (statusEl) statusEl.textContent = val ? "Cookie saved ✓" : "Not set";
+// ITRA registrants page, fetched through /api/itra-registrants. The table is found by
+// its header (a column named like "index" or "score") rather than by id.
+function parseItraRegistrantsHtml(html, url) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const cellText = cell => (cell.querySelector("a")?.textContent || cell.textContent).replace(/\s+/g, " ").trim();
+  const table = [...doc.querySelectorAll("table")].find(tbl =>
+    [...tbl.querySelectorAll("thead th, tr:first-child th")].some(th => /index|score/i.test(th.textContent)));
+  if (!table) {
+    const hasLoginHint = doc.querySelector('input[type="password"], form[action*="login"], [href*="login"]');
+    if (hasLoginHint) throw new Error(`Cookie expired — re-paste a fresh cookie from itra.run.\nURL: ${url}`);
+    const pageTitle = doc.querySelector("title")?.textContent?.trim() || "(no title)";
+    throw new Error(`Registrants table not found.\nURL: ${url}\nPage title: "${pageTitle}"`);
+  }
+  const headers = [...table.querySelectorAll("thead th, tr:first-child th")].map(th => normalizeHeaderKey(th.textContent));
+  const rows = [...table.querySelectorAll("tbody tr")]
+    .map(tr => [...tr.querySelectorAll("td")].map(cellText))
+    .filter(cells => cells.length);
+  return startListFromRows(headers, rows);
 }
 
-// ---- Admin: discover ----
-function setDiscoverStatus(msg, type = "") {
-  const el = document.getElementById("discoverStatus");
-  if (!el) return;
-  el.textContent = msg;
-  el.className = "status" + (type ? ` ${type}` : "");
-  el.style.display = msg ? "" : "none";
-}
+async function fetchItraRegistrants(url) {
+  if (!state.itraCookie) throw new Error("Set the ITRA cookie first.");
+  const resp = await fetch("/api/itra-registrants", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ url, cookieHeader: state.itraCookie })
+  });
+  if (!resp.ok) {
+    const err = await resp.json().catch(() => ({ error: `HTTP ${resp.status}` }));
+    throw new Error(err.error || `Proxy ${resp.status}`);
+  }
+  return parseItraRegistrantsHtml(await resp.text(), url);
+}
+
+function projectedEditionId(raceId, year) {
+  return `${raceId}-${year}-projected`;
+}
+
+// Same shape as saveEditionToSupabase, without runner linking: registrants are not
+// finishers. Re-saving replaces the previous start list of that race and year.
+async function saveProjectedEdition(job, entries) {
+  if (!window.supabaseClient) throw new Error("Supabase not configured.");
+  const client = window.supabaseClient;
+  const editionId = projectedEditionId(job.raceId, job.year);
+  const scoreType = resolveEditionScoreType(job, entries);
+  const rows = entries.map(e => ({
+    edition_id: editionId, rank: e.rank, gender: e.gender, index: e.index,
+    runner: e.runner || null, nationality: e.nationality || null,
+    score_type: e.score_type && e.score_type !== scoreType ? e.score_type : null
+  }));
+
+  const race = { id: job.raceId, name: job.raceName };
+  if (job.country) race.country = job.country;
+  const { error: raceErr } = await client.from("races").upsert(race, { onConflict: "id" });
+  if (raceErr) throw new Error("Race upsert: " + raceErr.message);
+
+  const { data: actual } = await client.from("editions").select("series")
+    .eq("race_id", job.raceId).eq("year", job.year).eq("projected", false).maybeSingle();
+  const { error: edErr } = await client.from("editions").upsert({
+    id: editionId,
+    race_id: job.raceId,
+    year: job.year,
+    series: actual?.series || job.series || null,
+    score_type: scoreType,
+    mixed_scores: rows.some(r => r.score_type),
+    projected: true,
+    itra_edition_url: job.url || null,
+    imported_at: new Date().toISOString()
+  }, { onConflict: "id" });
+  if (edErr) throw new Error("Edition upsert: " + edErr.message);
+
+  const { error: delErr } = await client.from("results").delete().eq("edition_id", editionId);
+  if (delErr) throw new Error("Delete start list: " + delErr.message);
+  const { error: insErr } = await client.from("results").insert(rows);
+  if (insErr) throw new Error("Insert start list: " + insErr.message);
+
+  await saveEditionMetrics(editionId, normalizeResults(rows), { score_type: scoreType });
+  return { editionId, count: rows.length };
+}
+
+function readStartListJob() {
+  const val = id => (document.getElementById(id)?.value || "").trim();
+  const job = {
+    raceId: slugToId(val("startRaceId")),
+    raceName: val("startRaceName"),
+    year: parseInt(val("startYear"), 10),
+    scoreType: val("startScoreType") || DEFAULT_SCORE_TYPE,
+    url: val("startUrl") || null
+  };
+  if (!job.raceId) throw new Error("Race id is required.");
+  if (!Number.isFinite(job.year)) throw new Error("Year is required.");
+  job.raceName ||= [...courseMetaCache.values()].find(m => m.base_race_id === job.raceId)?.name || job.raceId;
+  return job;
+}
+
+function setStartListStatus(msg, type = "") {
+  const el = document.getElementById("startStatus");
+  if (!el) return;
+  el.textContent = msg;
+  el.className = "status" + (type ? ` ${type}` : "");
+  el.style.display = msg ? "" : "none";
+}
+
+function renderStartListPreview() {
+  const el = document.getElementById("startPreview");
+  const saveBtn = document.getElementById("startSaveBtn");
+  const parsed = state.startList;
+  if (saveBtn) saveBtn.disabled = !parsed;
+  if (!el) return;
+  if (!parsed) { el.innerHTML = ""; return; }
+  const scoreType = normalizeScoreType(document.getElementById("startScoreType")?.value) || DEFAULT_SCORE_TYPE;
+  const summary = summarizeRci(normalizeResults(parsed.entries.map(e => ({ ...e, score_type: e.score_type || scoreType }))), { normalizeFemale: true });
+  const noGender = parsed.entries.filter(e => !e.gender).length;
+  el.innerHTML = `<div class="note" style="margin-bottom:6px;">${parsed.entries.length} registrants with an index${parsed.unscored ? `, ${parsed.unscored} without` : ""}${noGender ? `, ${noGender} without gender (left out of the RCI)` : ""}.</div>
+    <div class="tableWrap"><table>
+      <thead><tr><th>Gender</th><th style="text-align:right;">Registrants</th>${RCI_SUMMARY_LEVELS.map(n => `<th style="text-align:right;">RCI${n}</th>`).join("")}</tr></thead>
+      <tbody>${["female", "male"].map(sex => `<tr>
+        <td>${sex === "female" ? "Women" : "Men"}</td>
+        <td style="text-align:right;">${summary[sex].finishers}</td>
+        ${RCI_SUMMARY_LEVELS.map(n => `<td style="text-align:right;">${fmt(summary[sex][`rc${n}`], 1)}</td>`).join("")}
+      </tr>`).join("")}</tbody>
+    </table></div>`;
+}
+
+// ---- Admin: manual import ----
+// Results pasted, or read from a CSV/XLSX file, for races without usable ITRA results.
+// Parsing is parsePastedResults; an XLSX file is read with SheetJS and its first sheet
+// turned into tab-separated text first. Saving goes through saveEditionToSupabase.
+const MANUAL_PREVIEW_ROWS = 20;
+
+async function readResultsFile(file) {
+  if (!/\.xlsx?$/i.test(file.name)) return file.text();
+  await loadScriptOnce(XLSX_SCRIPT_URL);
+  const book = XLSX.read(await file.arrayBuffer(), { type: "array" });
+  const sheet = book.Sheets[book.SheetNames[0]];
+  if (!sheet) throw new Error(`${file.name}: no sheet found.`);
+  return XLSX.utils.sheet_to_csv(sheet, { FS: "\t", blankrows: false });
+}
+
+// parsePastedResults plus what the preview warns about. Genders are stored as F/M,
+// like ITRA imports; unrecognized values are dropped and counted.
+function parseManualResults(rawText) {
+  const results = parsePastedResults(rawText);
+  const text = String(rawText).trim();
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const hasHeader = looksLikeHeader(parseDelimitedRow(lines[0], detectDelimiter(text)));
+  let unknownGender = 0;
+  for (const r of results) {
+    const sex = normalizeGenderLabel(r.gender);
+    if (r.gender && !sex) unknownGender++;
+    r.gender = sex === "female" ? "F" : sex === "male" ? "M" : null;
+  }
+  const ranks = results.map(r => r.rank);
+  const warnings = [];
+  const skipped = lines.length - (hasHeader ? 1 : 0) - results.length;
+  if (skipped > 0) warnings.push(`${skipped} row${skipped > 1 ? "s" : ""} skipped (no numeric rank or score).`);
+  const duplicates = ranks.filter((rank, i) => i && rank === ranks[i - 1]).length;
+  if (duplicates) warnings.push(`${duplicates} duplicate rank${duplicates > 1 ? "s" : ""}.`);
+  const last = ranks[ranks.length - 1];
+  if (last > results.length) warnings.push(`Ranks go up to ${last} for ${results.length} rows: missing finishers or unscored rows.`);
+  const noGender = results.filter(r => !r.gender).length;
+  if (noGender) warnings.push(`${noGender} row${noGender > 1 ? "s" : ""} without a recognized gender${unknownGender ? ` (${unknownGender} unrecognized)` : ""}: left out of the RCI.`);
+  const noNationality = results.filter(r => !r.nationality).length;
+  if (noNationality) warnings.push(`${noNationality} row${noNationality > 1 ? "s" : ""} without nationality.`);
+  const outOfRange = results.filter(r => r.index <= 0 || r.index > 1000).length;
+  if (outOfRange) warnings.push(`${outOfRange} score${outOfRange > 1 ? "s" : ""} outside 1–1000: check the score column.`);
+  if (new Set(results.map(r => r.score_type).filter(Boolean)).size > 1) warnings.push("Rows mix ITRA and UTMB scores.");
+  return { results, warnings };
+}
+
+function readManualImportJob() {
+  const val = id => (document.getElementById(id)?.value || "").trim();
+  const job = {
+    raceId: slugToId(val("manualRaceId")).replace(/[^a-z0-9-]+/g, "-").replace(/^-+|-+$/g, ""),
+    raceName: val("manualRaceName"),
+    year: parseInt(val("manualYear"), 10),
+    country: val("manualCountry") || null,
+    km: parseFloat(val("manualKm")) || null,
+    elevation: parseInt(val("manualElevation"), 10) || null,
+    series: val("manualSeries").split(",").map(v => v.trim()).filter(Boolean),
+    scoreType: val("manualScoreType") || DEFAULT_SCORE_TYPE
+  };
+  if (!job.raceId) throw new Error("Race id is required.");
+  if (!job.raceName) throw new Error("Race name is required.");
+  if (!Number.isFinite(job.year)) throw new Error("Year is required.");
+  job.editionId = `${job.raceId}-${job.year}`;
+  return job;
+}
+
+// Known race picked: fill the empty metadata fields from its latest edition.
+function prefillManualImport(raceId) {
+  const meta = [...courseMetaCache.values()]
+    .filter(m => m.base_race_id === raceId && !m.projected)
+    .sort((a, b) => (b.year || 0) - (a.year || 0))[0];
+  if (!meta) return;
+  const fill = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && !el.value && value !== null && value !== undefined && value !== "") el.value = value;
+  };
+  fill("manualRaceName", meta.name);
+  fill("manualCountry", meta.country);
+  fill("manualKm", meta.distance_km);
+  fill("manualElevation", meta.elevation_gain);
+  fill("manualSeries", normalizeSeries(meta.series).join(", "));
+  const typeEl = document.getElementById("manualScoreType");
+  if (typeEl && meta.score_type) typeEl.value = meta.score_type;
+}
+
+// Diff against the edition's stored results, when the metadata already names one.
+async function diffManualImport() {
+  const parsed = state.manualImport;
+  if (!parsed) return;
+  let job = null;
+  try { job = readManualImportJob(); } catch { /* metadata incomplete: no edition to compare with yet */ }
+  parsed.editionId = job?.editionId || null;
+  const stored = job ? await getDataSource().getResults(job.editionId) : [];
+  parsed.diff = stored.length ? diffEditionResults(stored, parsed.results, resolveEditionScoreType(job, parsed.results)) : null;
+  renderManualImportPreview();
+}
+
+function setManualImportStatus(msg, type = "") {
+  const el = document.getElementById("manualStatus");
+  if (!el) return;
+  el.textContent = msg;
+  el.className = "status" + (type ? ` ${type}` : "");
+  el.style.display = msg ? "" : "none";
+}
+
+function renderManualImportPreview() {
+  const el = document.getElementById("manualPreview");
+  const saveBtn = document.getElementById("manualSaveBtn");
+  const parsed = state.manualImport;
+  if (saveBtn) saveBtn.disabled = !parsed;
+  if (!el) return;
+  if (!parsed) { el.innerHTML = ""; return; }
+  const scoreType = normalizeScoreType(document.getElementById("manualScoreType")?.value) || DEFAULT_SCORE_TYPE;
+  const summary = summarizeRci(normalizeResults(parsed.results.map(r => ({ ...r, score_type: r.score_type || scoreType }))), { normalizeFemale: true });
+  const shown = parsed.results.slice(0, MANUAL_PREVIEW_ROWS);
+  el.innerHTML = `
+    <div class="note" style="margin-bottom:6px;">${parsed.results.length} results parsed.${parsed.diff ? ` ${parsed.editionId} already has results:` : ""}</div>
+    ${parsed.diff ? `<div class="note" style="margin-bottom:10px;">${renderImportDiff(parsed.diff)}</div>` : ""}
+    ${parsed.warnings.length ? `<ul class="note" style="margin:0 0 8px; padding-left:18px; color:#b45309;">${parsed.warnings.map(w => `<li>${w}</li>`).join("")}</ul>` : ""}
+    <div class="tableWrap" style="margin-bottom:8px;"><table>
+      <thead><tr><th>Gender</th><th style="text-align:right;">Finishers</th>${RCI_SUMMARY_LEVELS.map(n => `<th style="text-align:right;">RCI${n}</th>`).join("")}</tr></thead>
+      <tbody>${["female", "male"].map(sex => `<tr>
+        <td>${sex === "female" ? "Women" : "Men"}</td>
+        <td style="text-align:right;">${summary[sex].finishers}</td>
+        ${RCI_SUMMARY_LEVELS.map(n => `<td style="text-align:right;">${fmt(summary[sex][`rc${n}`], 1)}</td>`).join("")}
+      </tr>`).join("")}</tbody>
+    </table></div>
+    <div class="tableWrap" style="max-height:340px;"><table>
+      <thead><tr><th style="text-align:right;">Rank</th><th>Runner</th><th>Gender</th><th>Nationality</th><th style="text-align:right;">Score</th></tr></thead>
+      <tbody>${shown.map(r => `<tr>
+        <td style="text-align:right;">${r.rank}</td>
+        <td>${escapeHtml(r.runner || "-")}</td>
+        <td>${r.gender || `<span style="color:#b45309;">?</span>`}</td>
+        <td>${escapeHtml(r.nationality || "-")}</td>
+        <td style="text-align:right;">${fmt(r.index, 0)}${r.score_type && r.score_type !== scoreType ? ` <span class="note">${SCORE_TYPE_LABELS[r.score_type]}</span>` : ""}</td>
+      </tr>`).join("")}</tbody>
+    </table></div>
+    ${parsed.results.length > shown.length ? `<div class="note" style="margin-top:4px;">First ${shown.length} of ${parsed.results.length} rows.</div>` : ""}`;
+}
+
+// ---- Admin: slug + URL utilities ----
+function slugToId(itraSlug) {
+  // "42km.du.Mont.Blanc" → "42km-du-mont-blanc"
+  return itraSlug.replace(/\./g, "-").toLowerCase();
+}
+
+function itraUrlParts(url) {
+  const m = url.match(/\/Races\/RaceResults\/([^/]+)\/(\d{4})\/(\d+)/);
+  if (!m) return null;
+  return { slug: m[1], year: parseInt(m[2], 10), itraId: m[3] };
+}
+
+// ---- Admin: cookie ----
+function saveCookie() {
+  const val = (document.getElementById("itraCookieInput")?.value || "").trim();
+  state.itraCookie = val;
+  const statusEl = document.getElementById("cookieStatus");
+  if (statusEl) statusEl.textContent = val ? "Cookie saved ✓" : "Not set";
+}
+
+// ---- Admin: discover ----
+function setDiscoverStatus(msg, type = "") {
+  const el = document.getElementById("discoverStatus");
+  if (!el) return;
+  el.textContent = msg;
+  el.className = "status" + (type ? ` ${type}` : "");
+  el.style.display = msg ? "" : "none";
+}
 
 function itraDateFormat(val) {
   const [y, m, d] = val.split("-");
@@ -1337,10 +3196,12 @@ function renderQueue() {
 
   list.innerHTML = "";
   for (const job of state.importQueue) {
-    const icon = { pending: "⏳", running: "⟳", done: "✓", error: "✗" }[job.status] || "⏳";
-    const cls = { done: "qi-done", error: "qi-error", running: "qi-running" }[job.status] || "";
-    const detail = job.status === "done" ? `${job.resultCount} results saved`
+    const icon = { pending: "⏳", running: "⟳", done: "✓", error: "✗", review: "⚖", skipped: "–" }[job.status] || "⏳";
+    const cls = { done: "qi-done", error: "qi-error", running: "qi-running", review: "qi-review" }[job.status] || "";
+    const detail = job.status === "done" ? job.unchanged ? `${job.resultCount} results, unchanged — nothing written`
+        : `${job.resultCount} results saved${job.fuzzyCount ? ` · ${job.fuzzyCount} runner matches to review` : ""}`
       : job.status === "error" ? job.error || "error"
+      : job.status === "skipped" ? "Skipped — stored results kept"
       : "";
     const div = document.createElement("div");
     div.className = `queue-item ${cls}`;
@@ -1349,9 +3210,23 @@ function renderQueue() {
       <div class="qi-body">
         <div class="qi-name">${job.raceName} ${job.year}</div>
         <div class="qi-sub">${job.raceId} · ${job.series.join(", ") || "no series"}</div>
-        ${detail ? `<div class="qi-detail" style="color:${job.status === "error" ? "#ef4444" : "#16a34a"};">${detail}</div>` : ""}
+        ${detail ? `<div class="qi-detail" style="color:${job.status === "error" ? "#ef4444" : job.status === "skipped" ? "var(--muted)" : "#16a34a"};">${detail}</div>` : ""}
+        ${job.status === "done" && job.diff && !job.unchanged ? `
+          <details class="qi-detail"><summary>Changes from the stored results</summary>${renderImportDiff(job.diff)}</details>` : ""}
+        ${job.status === "review" ? `
+          <div class="qi-detail">${renderImportDiff(job.diff)}</div>
+          <div style="display:flex; gap:6px; margin-top:6px;">
+            <button class="chip-sm" data-queue-apply="${job.editionId}">Overwrite stored results</button>
+            <button class="chip-sm" data-queue-skip="${job.editionId}">Keep stored</button>
+          </div>` : ""}
       </div>
     `;
+    div.querySelector("[data-queue-apply]")?.addEventListener("click", () => applyReviewedJob(job));
+    div.querySelector("[data-queue-skip]")?.addEventListener("click", () => {
+      job.status = "skipped";
+      job.results = null;
+      renderQueue();
+    });
     list.appendChild(div);
   }
 }
@@ -1366,16 +3241,16 @@ async function startQueue() {
   const btn = document.getElementById("startQueueBtn");
   if (btn) { btn.disabled = true; btn.textContent = "Importing…"; }
 
-  let ok = 0, fail = 0;
+  let ok = 0, review = 0, fail = 0;
   for (const job of state.importQueue) {
-    if (job.status === "done") continue;
+    if (job.status !== "pending" && job.status !== "error") continue;
     job.status = "running";
     renderQueue();
-    setQueueStatus(`Importing ${ok + fail + 1} / ${pending.length}: ${job.raceName} ${job.year}…`);
+    setQueueStatus(`Importing ${ok + review + fail + 1} / ${pending.length}: ${job.raceName} ${job.year}…`);
     try {
       await importEdition(job);
-      job.status = "done";
-      ok++;
+      if (job.status === "review") review++;
+      else ok++;
     } catch (err) {
       job.status = "error";
       job.error = err.message;
@@ -1386,17 +3261,27 @@ async function startQueue() {
 
   state.importRunning = false;
   if (btn) { btn.disabled = false; btn.textContent = "▶ Start Import"; }
-  setQueueStatus(`Done — ${ok} imported, ${fail} failed.`, fail === 0 ? "ok" : ok > 0 ? "" : "error");
+  setQueueStatus(`Done — ${ok} imported, ${review ? `${review} to review, ` : ""}${fail} failed.`, fail === 0 ? "ok" : ok > 0 ? "" : "error");
 
-  if (ok > 0) {
-    manifest = null;
-    courseCache.clear();
-    courseMetaCache.clear();
-    await loadManifest();
-    renderAdminRaceList(document.getElementById("searchRace")?.value || "");
-  }
+  if (ok > 0) await reloadImportedData();
 }
 
+// Drops everything derived from Supabase so the admin sees the edition just written.
+async function reloadImportedData() {
+  manifest = null;
+  courseCache.clear();
+  courseMetaCache.clear();
+  rciSummaryCache.clear();
+  rciIntervalCache.clear();
+  localRunnerIndex = null;
+  await loadManifest();
+  renderAdminRaceList(document.getElementById("searchRace")?.value || "");
+}
+
+// An edition that already has results is diffed against the new list first. Small
+// changes are saved straight away, with the diff kept on the job; past the thresholds
+// (diff.alerts) the job waits in "review" until the admin applies or skips it. An
+// identical list is left alone.
 async function importEdition(job) {
   const resp = await fetch("/api/itra-proxy", {
     method: "POST",
@@ -1409,43 +3294,195 @@ async function importEdition(job) {
   }
   const html = await resp.text();
   const results = parseItraHtml(html, job.url);
-  const { count } = await saveEditionToSupabase(job, results);
+  const stored = await getDataSource().getResults(job.editionId);
+  if (stored.length) {
+    job.diff = diffEditionResults(stored, results, resolveEditionScoreType({ scoreType: "itra", ...job }, results));
+    if (!job.diff.added.length && !job.diff.removed.length && !job.diff.changed.length) {
+      job.status = "done";
+      job.unchanged = true;
+      job.resultCount = results.length;
+      return;
+    }
+    if (job.diff.alerts.length) {
+      job.status = "review";
+      job.results = results;
+      return;
+    }
+  }
+  const { count, fuzzy } = await saveEditionToSupabase({ scoreType: "itra", ...job }, results);
+  job.status = "done";
   job.resultCount = count;
+  job.fuzzyCount = fuzzy;
+}
+
+// The review buttons are the confirmation: the alerts are listed right above them.
+async function applyReviewedJob(job) {
+  job.status = "running";
+  renderQueue();
+  try {
+    const { count, fuzzy } = await saveEditionToSupabase({ scoreType: "itra", ...job }, job.results);
+    job.status = "done";
+    job.resultCount = count;
+    job.fuzzyCount = fuzzy;
+    job.results = null;
+    await reloadImportedData();
+  } catch (err) {
+    job.status = "error";
+    job.error = err.message;
+  }
+  renderQueue();
+}
+
+// ---- Admin: import diff ----
+// Stored and incoming rows are matched by runner (runnerIdentityKey, so spelling and
+// word order do not count), rows without a name by rank. Above either threshold the
+// overwrite needs an explicit confirmation.
+const IMPORT_CONFIRM_DROP = 0.1; // share of finishers (or stored rows) lost
+const IMPORT_CONFIRM_RCI = 0.02; // relative change of RCI10, either gender
+const IMPORT_DIFF_LIST = 10;
+
+function diffEditionResults(stored, incoming, scoreType) {
+  const keyed = rows => {
+    const map = new Map();
+    for (const r of rows) {
+      const base = r.runner ? runnerIdentityKey(r.runner) : `#${r.rank}`;
+      let key = base;
+      for (let k = 2; map.has(key); k++) key = `${base}~${k}`;
+      map.set(key, r);
+    }
+    return map;
+  };
+  const before = keyed(stored);
+  const after = keyed(incoming);
+  const added = [...after.entries()].filter(([key]) => !before.has(key)).map(([, r]) => r);
+  const removed = [...before.entries()].filter(([key]) => !after.has(key)).map(([, r]) => r);
+  const changed = [];
+  for (const [key, next] of after) {
+    const prev = before.get(key);
+    if (!prev) continue;
+    const fields = [];
+    if (prev.rank !== next.rank) fields.push("rank");
+    if (prev.index !== next.index) fields.push("index");
+    if (normalizeGenderLabel(prev.gender) !== normalizeGenderLabel(next.gender)) fields.push("gender");
+    if ((prev.nationality || null) !== (next.nationality || null)) fields.push("nationality");
+    if (fields.length) changed.push({ before: prev, after: next, fields });
+  }
+
+  const summarize = rows => summarizeRci(normalizeResults(rows.map(r => ({ ...r, score_type: r.score_type || scoreType }))), { normalizeFemale: true });
+  const rci = { before: summarize(stored), after: summarize(incoming) };
+  const alerts = [];
+  if (incoming.length < stored.length * (1 - IMPORT_CONFIRM_DROP)) {
+    alerts.push(`Finishers drop from ${stored.length} to ${incoming.length} (${fmt((incoming.length / stored.length - 1) * 100, 0)} %).`);
+  }
+  if (removed.length > stored.length * IMPORT_CONFIRM_DROP) {
+    alerts.push(`${removed.length} of ${stored.length} stored rows are not in the new list.`);
+  }
+  for (const sex of ["female", "male"]) {
+    const prev = rci.before[sex].rc10;
+    const next = rci.after[sex].rc10;
+    const lost = Number.isFinite(prev) && !Number.isFinite(next);
+    if (lost || (Number.isFinite(prev) && Math.abs(next - prev) > prev * IMPORT_CONFIRM_RCI)) {
+      alerts.push(`RCI10 ${sex === "female" ? "women" : "men"}: ${fmt(prev, 1)} → ${fmt(next, 1)}.`);
+    }
+  }
+  return { storedCount: stored.length, incomingCount: incoming.length, added, removed, changed, rci, alerts };
+}
+
+function confirmImportDiff(diff, editionId) {
+  if (!diff?.alerts.length) return true;
+  return confirm(`Overwrite the stored results of ${editionId}?\n\n${diff.alerts.join("\n")}`);
+}
+
+function renderImportDiff(diff) {
+  // Incoming rows are unreviewed page or file content: every text field is escaped.
+  const row = r => escapeHtml(`${r.rank}. ${r.runner || "-"} · ${r.gender || "?"} · ${r.nationality || "-"} · ${fmt(r.index, 0)}`);
+  const change = c => escapeHtml(`${c.after.runner || `#${c.after.rank}`}: ${c.fields.map(f => `${f} ${c.before[f] ?? "-"} → ${c.after[f] ?? "-"}`).join(", ")}`);
+  const list = (title, items, format) => items.length ? `
+    <details style="margin-top:4px;"><summary>${title} (${items.length})</summary>
+      <ul style="margin:4px 0; padding-left:18px;">${items.slice(0, IMPORT_DIFF_LIST).map(item => `<li>${format(item)}</li>`).join("")}
+      ${items.length > IMPORT_DIFF_LIST ? `<li>… ${items.length - IMPORT_DIFF_LIST} more</li>` : ""}</ul>
+    </details>` : "";
+  const delta = (prev, next) => Number.isFinite(prev) && Number.isFinite(next) ? `${next >= prev ? "+" : ""}${fmt(next - prev, 1)}` : "";
+  return `
+    <div style="color:var(--text);">${diff.storedCount} stored → ${diff.incomingCount} new · <span style="color:#16a34a;">+${diff.added.length}</span> · <span style="color:#ef4444;">−${diff.removed.length}</span> · ~${diff.changed.length} changed</div>
+    ${diff.alerts.length ? `<ul style="margin:4px 0; padding-left:18px; color:#b45309;">${diff.alerts.map(a => `<li>${a}</li>`).join("")}</ul>` : ""}
+    <div class="tableWrap" style="margin-top:6px;"><table>
+      <thead><tr><th>Gender</th><th style="text-align:right;">Finishers</th>${RCI_SUMMARY_LEVELS.map(n => `<th style="text-align:right;">RCI${n}</th>`).join("")}</tr></thead>
+      <tbody>${["female", "male"].map(sex => {
+        const prev = diff.rci.before[sex];
+        const next = diff.rci.after[sex];
+        return `<tr>
+          <td>${sex === "female" ? "Women" : "Men"}</td>
+          <td style="text-align:right;">${prev.finishers} → ${next.finishers}</td>
+          ${RCI_SUMMARY_LEVELS.map(n => `<td style="text-align:right;">${fmt(prev[`rc${n}`], 1)} → ${fmt(next[`rc${n}`], 1)} <span class="note">${delta(prev[`rc${n}`], next[`rc${n}`])}</span></td>`).join("")}
+        </tr>`;
+      }).join("")}</tbody>
+    </table></div>
+    ${list("New rows", diff.added, row)}
+    ${list("Removed rows", diff.removed, row)}
+    ${list("Changed rows", diff.changed, change)}`;
+}
+
+// Edition score type: the job's, else the most common explicit type among the rows,
+// else ITRA. Rows keep their own score_type only where it differs from the edition's.
+function resolveEditionScoreType(job, results) {
+  const explicit = normalizeScoreType(job.scoreType);
+  if (explicit) return explicit;
+  const counts = {};
+  for (const r of results) if (r.score_type) counts[r.score_type] = (counts[r.score_type] || 0) + 1;
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : DEFAULT_SCORE_TYPE;
 }
 
 async function saveEditionToSupabase(job, results) {
   if (!window.supabaseClient) throw new Error("Supabase not configured.");
+  const scoreType = resolveEditionScoreType(job, results);
+  const { data: previous, error: prevErr } = await window.supabaseClient
+    .from("results").select("runner, runner_id, runner_match").eq("edition_id", job.editionId);
+  if (prevErr) throw new Error("Previous results: " + prevErr.message);
+  const links = await linkResultsToRunners(results, previous || []);
+  const rows = results.map((r, i) => ({
+    edition_id: job.editionId, rank: r.rank, gender: r.gender,
+    index: r.index, runner: r.runner || null, nationality: r.nationality || null,
+    score_type: r.score_type && r.score_type !== scoreType ? r.score_type : null,
+    ...links[i]
+  }));
+  const mixedScores = rows.some(r => r.score_type);
 
-  const { error: raceErr } = await window.supabaseClient.from("races").upsert({
+  // Manual imports have no ITRA page: leave any stored ITRA URLs as they are.
+  const race = {
     id: job.raceId,
     name: job.raceName,
     country: job.country || null,
     distance_km: job.km || null,
-    elevation_gain: job.elevation || null,
-    itra_race_url: `https://itra.run/Races/RaceResults/${job.slug}`
-  }, { onConflict: "id" });
+    elevation_gain: job.elevation || null
+  };
+  if (job.slug) race.itra_race_url = `https://itra.run/Races/RaceResults/${job.slug}`;
+  const { error: raceErr } = await window.supabaseClient.from("races").upsert(race, { onConflict: "id" });
   if (raceErr) throw new Error("Race upsert: " + raceErr.message);
 
-  const { error: edErr } = await window.supabaseClient.from("editions").upsert({
+  const edition = {
     id: job.editionId,
     race_id: job.raceId,
     year: job.year,
     series: job.series,
-    itra_edition_url: job.url
-  }, { onConflict: "id" });
+    score_type: scoreType,
+    mixed_scores: mixedScores,
+    imported_at: new Date().toISOString() // bumps the key browsers cache results under
+  };
+  if (job.url) edition.itra_edition_url = job.url;
+  const { error: edErr } = await window.supabaseClient.from("editions").upsert(edition, { onConflict: "id" });
   if (edErr) throw new Error("Edition upsert: " + edErr.message);
 
   const { error: delErr } = await window.supabaseClient.from("results").delete().eq("edition_id", job.editionId);
   if (delErr) throw new Error("Delete results: " + delErr.message);
 
-  const rows = results.map(r => ({
-    edition_id: job.editionId, rank: r.rank, gender: r.gender,
-    index: r.index, runner: r.runner || null, nationality: r.nationality || null
-  }));
   const { error: insErr } = await window.supabaseClient.from("results").insert(rows);
   if (insErr) throw new Error("Insert results: " + insErr.message);
 
-  return { count: rows.length };
+  await saveEditionMetrics(job.editionId, normalizeResults(rows), { score_type: scoreType });
+
+  return { count: rows.length, fuzzy: rows.filter(r => r.runner_match === "fuzzy").length };
 }
 
 // ---- Visualization: Parity delta bar ----
@@ -1453,36 +3490,36 @@ function getVizFilteredIds() {
   return Array.from(state.vizSelected).sort();
 }
 
-function getTopStats(results, n) {
-  const values = topScoresFrom(results, n, false);
-  if (!values.length) return { mean: NaN, std: NaN, rci: NaN };
-  const m = mean(values);
-  const sd = stdPop(values);
-  return { mean: m, std: sd, rci: m - sd };
-}
-
 async function getVizRciPoints(options = {}) {
   const ids = options.ids || getVizFilteredIds();
   const nLevels = options.nLevels || PARITY_N_LEVELS;
-  const courses = await Promise.all(ids.map(id => loadCourse(id).catch(() => null)));
+  const summaries = await loadRciSummaries(ids);
+  const intervals = state.rciCi ? await loadRciIntervals(ids) : null;
   const points = [];
-  for (let i = 0; i < ids.length; i++) {
-    const course = courses[i];
-    if (!course) continue;
-    const meta = course.meta || {};
+  for (const id of ids) {
+    const summary = summaries.get(id);
+    if (!summary) continue;
+    const meta = getCourseMeta(id) || {};
     const raceGender = inferRaceGender(meta);
+    let course = null;
     for (const sex of ["male", "female"]) {
       if (raceGender && raceGender !== sex) continue;
-      const normalized = getRciResultsForMode(course.results, sex, true);
       for (const n of nLevels) {
-        const stats = getTopStats(normalized, n);
-        if (!Number.isFinite(stats.rci)) continue;
+        let rci = summary[sex][`rc${n}`];
+        if (rci === undefined) {
+          // Level not precomputed — fall back to the full finisher list.
+          course ??= await loadCourse(id).catch(() => null);
+          if (!course) continue;
+          rci = rciFromResults(getRciResultsForMode(course.results, sex, true), n, false, state.rciFormula);
+        }
+        if (!Number.isFinite(rci)) continue;
         points.push({
-          race_id: meta.race_id || ids[i],
-          race_name: getCourseLabel(course),
+          race_id: meta.race_id || id,
+          race_name: getCourseLabel({ meta, race_id: id }),
           year: meta.year,
           series: normalizeSeries(meta.series).join(", ") || "-",
-          sex, n, rci: stats.rci
+          sex, n, rci,
+          ci: intervals?.get(id)?.[sex]?.[`rc${n}`] || null
         });
       }
     }
@@ -1494,125 +3531,1115 @@ async function renderParityVisualization() {
   const plotEl = document.getElementById("vizParityPlot");
   if (!plotEl) return;
 
-  const noData = (msg) => Plotly.react("vizParityPlot", [], {
-    paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)",
-    annotations: [{ x: 0.5, y: 0.5, xref: "paper", yref: "paper", text: msg, showarrow: false, font: { color: "#64748b", size: 13 } }]
-  }, { responsive: true, displayModeBar: false });
+  const noData = (msg) => {
+    chartExports.delete("vizParityPlot");
+    Plotly.react("vizParityPlot", [], {
+      paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)",
+      annotations: [{ x: 0.5, y: 0.5, xref: "paper", yref: "paper", text: msg, showarrow: false, font: { color: "#64748b", size: 13 } }]
+    }, { responsive: true, displayModeBar: false });
+  };
 
   const ids = getVizFilteredIds();
   if (!ids.length) { noData("No races selected"); return; }
 
+  try {
+    assertSingleScoreType(ids);
+  } catch (err) {
+    if (err.code !== "mixed-score-types") throw err;
+    noData(err.message);
+    return;
+  }
+
   const n = state.parityN;
   const points = await getVizRciPoints({ ids, nLevels: [n] });
   const byRace = new Map();
   for (const p of points) {
-    if (!byRace.has(p.race_id)) byRace.set(p.race_id, { race_name: p.race_name, male: NaN, female: NaN });
-    if (p.sex === "male") byRace.get(p.race_id).male = p.rci;
-    if (p.sex === "female") byRace.get(p.race_id).female = p.rci;
+    if (!byRace.has(p.race_id)) byRace.set(p.race_id, { id: p.race_id, race_name: p.race_name, male: NaN, female: NaN });
+    byRace.get(p.race_id)[p.sex] = p.rci;
+    byRace.get(p.race_id)[`${p.sex}Ci`] = p.ci;
   }
 
+  // The two fields are resampled independently, so their half-widths add in quadrature.
   const rows = Array.from(byRace.values())
     .filter(r => Number.isFinite(r.male) && Number.isFinite(r.female))
-    .map(r => ({ ...r, delta: r.female - r.male }))
+    .map(r => ({ ...r, delta: r.female - r.male, err: Math.hypot(ciHalfWidth(r.femaleCi), ciHalfWidth(r.maleCi)) }))
     .sort((a, b) => a.delta - b.delta);
 
   if (!rows.length) { noData("No races with both M and F data"); return; }
 
-  Plotly.react("vizParityPlot", [{
-    type: "bar",
-    orientation: "h",
-    x: rows.map(r => r.delta),
-    y: rows.map(r => r.race_name),
-    marker: { color: rows.map(r => r.delta >= 0 ? "rgb(75,131,88)" : "rgb(198,93,38)") },
-    hovertemplate: "<b>%{y}</b><br>RCI_F − RCI_M = %{x:.2f}<extra></extra>"
-  }], {
-    paper_bgcolor: "rgba(0,0,0,0)",
-    plot_bgcolor: "rgba(0,0,0,0)",
-    showlegend: false,
-    margin: { l: 10, r: 40, t: 10, b: 50 },
-    font: { family: "Archivo, sans-serif", size: 12 },
-    xaxis: {
-      title: `RCI${n} — féminin moins masculin`,
-      zeroline: true, zerolinecolor: "#c9c2b8", zerolinewidth: 1.5,
-      gridcolor: "#e9e3d9"
-    },
-    yaxis: { automargin: true, tickfont: { size: 11 } }
-  }, { responsive: true, displayModeBar: false });
-  resizePlot("vizParityPlot");
+  Plotly.react("vizParityPlot", [{
+    type: "bar",
+    orientation: "h",
+    x: rows.map(r => r.delta),
+    y: rows.map(r => r.race_name),
+    marker: { color: rows.map(r => r.delta >= 0 ? "rgb(75,131,88)" : "rgb(198,93,38)") },
+    error_x: state.rciCi ? { type: "data", array: rows.map(r => r.err), color: "#64748b", thickness: 1.2, width: 3 } : undefined,
+    hovertemplate: state.rciCi
+      ? "<b>%{y}</b><br>RCI_F − RCI_M = %{x:.2f} ± %{error_x.array:.2f}<extra></extra>"
+      : "<b>%{y}</b><br>RCI_F − RCI_M = %{x:.2f}<extra></extra>"
+  }], {
+    paper_bgcolor: "rgba(0,0,0,0)",
+    plot_bgcolor: "rgba(0,0,0,0)",
+    showlegend: false,
+    margin: { l: 10, r: 40, t: 10, b: 50 },
+    font: { family: "Archivo, sans-serif", size: 12 },
+    xaxis: {
+      title: `RCI${n} — féminin moins masculin`,
+      zeroline: true, zerolinecolor: "#c9c2b8", zerolinewidth: 1.5,
+      gridcolor: "#e9e3d9"
+    },
+    yaxis: { automargin: true, tickfont: { size: 11 } }
+  }, { responsive: true, displayModeBar: false });
+  resizePlot("vizParityPlot");
+  recordChartExport("vizParityPlot", {
+    title: `${t("tabParity")} — RCI${n} F − M`,
+    subtitle: selectionSummary(ids.length),
+    ids,
+    normalized: true,
+    formula: n,
+    height: Math.max(CHART_EXPORT_SIZE.height, 160 + rows.length * 22),
+    columns: [
+      { label: "Edition", key: "id" }, { label: "Race", key: "race_name" },
+      { label: `RCI${n} F`, key: "female" }, { label: `RCI${n} M`, key: "male" }, { label: "F − M", key: "delta" },
+      ...(state.rciCi ? [{ label: `± ${BOOTSTRAP_LEVEL * 100}%`, key: "err" }] : [])
+    ],
+    rows: [...rows].reverse().map(r => ({ id: r.id, race_name: r.race_name, female: r.female, male: r.male, delta: r.delta, err: r.err }))
+  });
+}
+
+async function updateVisualization() {
+  const vizEl = document.getElementById("vizCount");
+  if (vizEl) vizEl.textContent = String(state.vizSelected.size);
+  await renderParityVisualization();
+}
+
+// ---- Charts: rank curve (depth) ----
+function getCourseLabel(course) {
+  const name = course.meta?.name || course.meta?.race_id || course.race_id;
+  const year = course.meta?.year;
+  return year ? `${name} ${year}` : name;
+}
+
+function groupForCharts(courses, topN, gender = "both") {
+  const grouped = new Map();
+  for (const c of courses) {
+    const id = c.meta?.race_id || c.race_id;
+    let results = (c.results || []).filter(r => r.rank >= 1);
+    if (gender !== "both") {
+      results = filterResultsByGender(results, gender)
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, topN)
+        .map((r, i) => ({ ...r, rank: i + 1 }));
+    } else {
+      results = results.filter(r => r.rank <= topN).sort((a, b) => a.rank - b.rank);
+    }
+    grouped.set(id, { label: getCourseLabel(c), arr: results });
+  }
+  return grouped;
+}
+
+function updateRankPlot(grouped, topN) {
+  const plotEl = document.getElementById("plot");
+  if (!plotEl) return;
+  const ids = Array.from(grouped.keys()).sort();
+  const traces = ids.map(id => {
+    const entry = grouped.get(id);
+    const arr = entry?.arr || [];
+    const label = entry?.label || id;
+    return {
+      x: arr.map(r => r.rank),
+      y: arr.map(r => r.index),
+      customdata: arr.map(r => r.runner || ""),
+      mode: "lines",
+      name: label,
+      hovertemplate: `<b>${label}</b><br>Rank %{x} — Index %{y:.0f}<br>%{customdata}<extra></extra>`,
+      line: { width: 2 }
+    };
+  });
+
+  const mobile = window.innerWidth < 720;
+  Plotly.react("plot", traces, {
+    paper_bgcolor: "rgba(0,0,0,0)",
+    plot_bgcolor: "rgba(0,0,0,0)",
+    margin: mobile ? { l: 45, r: 10, t: 10, b: 50 } : { l: 55, r: 160, t: 10, b: 50 },
+    font: { family: "Archivo, sans-serif", size: 12 },
+    xaxis: { title: "Rank", range: [1, topN], gridcolor: "#e9e3d9", zeroline: false, tickfont: { size: 10 } },
+    yaxis: { title: "Index", gridcolor: "#e9e3d9", zeroline: false, tickfont: { size: 10 } },
+    showlegend: !mobile,
+    legend: { orientation: "v", x: 1.02, y: 1, xanchor: "left", font: { size: 10 }, bgcolor: "rgba(255,255,255,0.85)", bordercolor: "#e2e8f0", borderwidth: 1 },
+    hovermode: "closest"
+  }, { responsive: true, displayModeBar: false });
+  resizePlot("plot");
+}
+
+async function updateCharts() {
+  const el = document.getElementById("chartsVizCount");
+  if (el) el.textContent = String(state.rciNormSelected.size);
+  const topN = state.topN;
+  const ids = Array.from(state.rciNormSelected).sort();
+  const courses = await Promise.all(ids.map(id => loadCourse(id).catch(() => null)));
+  const grouped = groupForCharts(courses.filter(Boolean), topN, state.chartsGender);
+  updateRankPlot(grouped, topN);
+  const genderLabel = t({ both: "depthBoth", female: "depthWomen", male: "depthMen" }[state.chartsGender]);
+  recordChartExport("plot", {
+    title: `${t("tabDepth")} — top ${topN}`,
+    subtitle: `${selectionSummary(ids.length)} · ${genderLabel}`,
+    ids: [...grouped.keys()],
+    normalized: false,
+    legend: true,
+    columns: [
+      { label: "Edition", key: "edition" }, { label: "Label", key: "label" }, { label: "Rank", key: "rank" },
+      { label: "Index", key: "index" }, { label: "Runner", key: "runner" }, { label: "Gender", key: "gender" },
+      { label: "Nationality", key: "nationality" }
+    ],
+    rows: [...grouped.entries()].sort((a, b) => a[0].localeCompare(b[0])).flatMap(([id, entry]) => entry.arr.map(r => ({
+      edition: id, label: entry.label, rank: r.rank, index: r.index, runner: r.runner || "", gender: r.gender || "", nationality: r.nationality || ""
+    })))
+  });
+}
+
+// ---- Lorenz curves + Gini ----
+async function updateLorenz() {
+  const el = document.getElementById("lorenzPlot");
+  if (!el) return;
+  const ids = Array.from(state.rciNormSelected).sort();
+  const courses = (await Promise.all(ids.map(id => loadCourse(id).catch(() => null)))).filter(Boolean);
+  const genders = state.lorenzGender === "both" ? ["female", "male"] : [state.lorenzGender];
+  const palette = ["#c65d26", "#4b8358", "#2f5d8a", "#9a6b2f", "#7a4f9a", "#3f8f8a", "#b0475a", "#5b6b2f", "#8a5a44", "#44608a"];
+
+  const traces = [{
+    x: [0, 1], y: [0, 1], mode: "lines", name: t("lorenzEqual"),
+    line: { color: "#c9c2b8", width: 1, dash: "dash" }, hoverinfo: "skip"
+  }];
+  const rows = [];
+  courses.forEach((course, i) => {
+    const label = getCourseLabel(course);
+    const raceGender = inferRaceGender(course.meta);
+    const row = { label, female: null, male: null };
+    for (const sex of genders) {
+      if (raceGender && raceGender !== sex) continue;
+      const values = getRciResultsForMode(course.results, sex, true).map(r => r.index);
+      if (values.length < 2) continue;
+      const g = gini(values);
+      row[sex] = { gini: g, n: values.length };
+      const curve = lorenzCurve(values);
+      const sexLabel = t(sex === "female" ? "rciWomen" : "rciMen");
+      traces.push({
+        x: curve.x, y: curve.y, mode: "lines",
+        name: genders.length > 1 ? `${label} · ${sexLabel}` : label,
+        line: { color: palette[i % palette.length], width: 2, dash: sex === "female" && genders.length > 1 ? "dot" : "solid" },
+        hovertemplate: `<b>${label}</b> · ${sexLabel}<br>Gini ${fmt(g, 3)}<br>%{x:.0%} → %{y:.1%}<extra></extra>`
+      });
+    }
+    if (row.female || row.male) rows.push(row);
+  });
+
+  const mobile = window.innerWidth < 720;
+  Plotly.react("lorenzPlot", traces, {
+    paper_bgcolor: "rgba(0,0,0,0)",
+    plot_bgcolor: "rgba(0,0,0,0)",
+    margin: mobile ? { l: 45, r: 10, t: 10, b: 50 } : { l: 55, r: 160, t: 10, b: 50 },
+    font: { family: "Archivo, sans-serif", size: 12 },
+    xaxis: { title: t("lorenzShareRunners"), range: [0, 1], tickformat: ".0%", gridcolor: "#e9e3d9", zeroline: false },
+    yaxis: { title: t("lorenzShareIndex"), range: [0, 1], tickformat: ".0%", gridcolor: "#e9e3d9", zeroline: false },
+    showlegend: !mobile,
+    legend: { orientation: "v", x: 1.02, y: 1, xanchor: "left", font: { size: 10 }, bgcolor: "rgba(255,255,255,0.85)", bordercolor: "#e2e8f0", borderwidth: 1 },
+    hovermode: "closest"
+  }, { responsive: true, displayModeBar: false });
+  resizePlot("lorenzPlot");
+
+  const tableWrap = document.getElementById("lorenzTableWrap");
+  if (tableWrap) {
+    const fL = t("rciWomen"); const mL = t("rciMen"); const nL = t("lorenzFinishers");
+    rows.sort((a, b) => a.label.localeCompare(b.label));
+    tableWrap.innerHTML = `<table>
+      <thead><tr>
+        <th class="col-left">${t("lorenzColEdition")}</th>
+        <th>Gini ${fL}</th><th>${nL} ${fL}</th>
+        <th>Gini ${mL}</th><th>${nL} ${mL}</th>
+      </tr></thead>
+      <tbody>${rows.map(r => `
+        <tr>
+          <td class="col-left" style="font-weight:600;">${r.label}</td>
+          <td class="col-num">${fmt(r.female?.gini, 3)}</td><td class="col-num">${r.female?.n ?? "-"}</td>
+          <td class="col-num">${fmt(r.male?.gini, 3)}</td><td class="col-num">${r.male?.n ?? "-"}</td>
+        </tr>`).join("")}</tbody>
+    </table>`;
+    tableWrap.style.display = rows.length ? "" : "none";
+  }
+}
+
+// ---- Decile heatmap ----
+const HEATMAP_RANK_BANDS = [[1, 5], [6, 10], [11, 20], [21, 50], [51, 100], [101, 200], [201, Infinity]];
+
+// Splits rank-ordered index values into columns: ten equal slices of the field, or fixed rank bands.
+function fieldSlices(values, mode) {
+  if (mode === "bands") {
+    return HEATMAP_RANK_BANDS.map(([lo, hi]) => ({
+      label: Number.isFinite(hi) ? `${lo}–${hi}` : `${lo}+`,
+      values: values.slice(lo - 1, Number.isFinite(hi) ? hi : undefined)
+    }));
+  }
+  return Array.from({ length: 10 }, (_, d) => ({
+    label: `D${d + 1}`,
+    values: values.slice(Math.floor(d * values.length / 10), Math.floor((d + 1) * values.length / 10))
+  }));
+}
+
+async function updateHeatmap() {
+  const wrap = document.getElementById("heatmapTableWrap");
+  if (!wrap) return;
+  const gender = state.heatmapGender;
+  const ids = Array.from(state.rciNormSelected).sort();
+  const courses = (await Promise.all(ids.map(id => loadCourse(id).catch(() => null)))).filter(Boolean);
+
+  const rows = [];
+  for (const course of courses) {
+    const raceGender = inferRaceGender(course.meta);
+    if (raceGender && raceGender !== gender) continue;
+    const values = topScoresFrom(getRciResultsForMode(course.results, gender, true), Infinity, false);
+    if (!values.length) continue;
+    const cells = fieldSlices(values, state.heatmapMode).map(slice => ({ ...slice, mean: mean(slice.values) }));
+    rows.push({ label: getCourseLabel(course), n: values.length, cells });
+  }
+
+  const emptyEl = document.getElementById("heatmapEmpty");
+  if (emptyEl) emptyEl.style.display = rows.length ? "none" : "";
+  wrap.style.display = rows.length ? "" : "none";
+  if (!rows.length) { wrap.innerHTML = ""; return; }
+
+  rows.sort((a, b) => (b.cells[0].mean || 0) - (a.cells[0].mean || 0));
+  const all = rows.flatMap(r => r.cells.map(c => c.mean)).filter(Number.isFinite);
+  const minVal = Math.min(...all);
+  const maxVal = Math.max(...all);
+  const headers = rows[0].cells.map(c => `<th>${c.label}</th>`).join("");
+  wrap.innerHTML = `<table>
+    <thead><tr><th class="col-left">${t("lorenzColEdition")}</th><th>${t("lorenzFinishers")}</th>${headers}</tr></thead>
+    <tbody>${rows.map(r => `
+      <tr>
+        <td class="col-left" style="font-weight:600;">${r.label}</td>
+        <td class="col-num" style="color:var(--muted);">${r.n}</td>
+        ${r.cells.map(c => `<td class="col-num" style="${densityColor(c.mean, minVal, maxVal)}" title="${c.values.length} finishers">${fmt(c.mean, 0)}</td>`).join("")}
+      </tr>`).join("")}</tbody>
+  </table>`;
+}
+
+// ---- Countries ----
+// Results carry nationality as IOC codes ("SUI", "GER"), ISO-3 or a country name in
+// whatever language the source used; races.country is a name ("Suisse", "Italia") or a
+// code. Everything is mapped to ISO-3 through this table.
+// [ISO-3, ISO-2, IOC, English, French, ...other spellings]
+const COUNTRIES = [
+  ["AFG", "AF", "AFG", "Afghanistan", "Afghanistan"],
+  ["ALB", "AL", "ALB", "Albania", "Albanie"],
+  ["DZA", "DZ", "ALG", "Algeria", "Algérie"],
+  ["AND", "AD", "AND", "Andorra", "Andorre"],
+  ["ARE", "AE", "UAE", "United Arab Emirates", "Émirats arabes unis"],
+  ["ARG", "AR", "ARG", "Argentina", "Argentine"],
+  ["AUS", "AU", "AUS", "Australia", "Australie"],
+  ["AUT", "AT", "AUT", "Austria", "Autriche", "Österreich"],
+  ["BEL", "BE", "BEL", "Belgium", "Belgique", "België"],
+  ["BGR", "BG", "BUL", "Bulgaria", "Bulgarie"],
+  ["BLR", "BY", "BLR", "Belarus", "Biélorussie"],
+  ["BMU", "BM", "BER", "Bermuda", "Bermudes"],
+  ["BOL", "BO", "BOL", "Bolivia", "Bolivie"],
+  ["BRA", "BR", "BRA", "Brazil", "Brésil", "Brasil"],
+  ["CAN", "CA", "CAN", "Canada", "Canada"],
+  ["CHE", "CH", "SUI", "Switzerland", "Suisse", "Svizzera", "Schweiz"],
+  ["CHL", "CL", "CHI", "Chile", "Chili"],
+  ["CHN", "CN", "CHN", "China", "Chine"],
+  ["COL", "CO", "COL", "Colombia", "Colombie"],
+  ["CRI", "CR", "CRC", "Costa Rica", "Costa Rica"],
+  ["CYP", "CY", "CYP", "Cyprus", "Chypre"],
+  ["CZE", "CZ", "CZE", "Czechia", "Tchéquie", "Czech Republic", "République tchèque"],
+  ["DEU", "DE", "GER", "Germany", "Allemagne", "Deutschland", "Germania"],
+  ["DNK", "DK", "DEN", "Denmark", "Danemark"],
+  ["DOM", "DO", "DOM", "Dominican Republic", "République dominicaine"],
+  ["ECU", "EC", "ECU", "Ecuador", "Équateur"],
+  ["EGY", "EG", "EGY", "Egypt", "Égypte"],
+  ["ERI", "ER", "ERI", "Eritrea", "Érythrée"],
+  ["ESP", "ES", "ESP", "Spain", "Espagne", "España", "Spagna"],
+  ["EST", "EE", "EST", "Estonia", "Estonie"],
+  ["ETH", "ET", "ETH", "Ethiopia", "Éthiopie"],
+  ["FIN", "FI", "FIN", "Finland", "Finlande"],
+  ["FRA", "FR", "FRA", "France", "France", "Francia"],
+  ["GBR", "GB", "GBR", "United Kingdom", "Royaume-Uni", "Great Britain", "UK", "Regno Unito"],
+  ["GRC", "GR", "GRE", "Greece", "Grèce"],
+  ["GTM", "GT", "GUA", "Guatemala", "Guatemala"],
+  ["HKG", "HK", "HKG", "Hong Kong", "Hong Kong"],
+  ["HND", "HN", "HON", "Honduras", "Honduras"],
+  ["HRV", "HR", "CRO", "Croatia", "Croatie", "Hrvatska"],
+  ["HUN", "HU", "HUN", "Hungary", "Hongrie"],
+  ["IDN", "ID", "INA", "Indonesia", "Indonésie"],
+  ["IND", "IN", "IND", "India", "Inde"],
+  ["IRL", "IE", "IRL", "Ireland", "Irlande"],
+  ["IRN", "IR", "IRI", "Iran", "Iran"],
+  ["ISL", "IS", "ISL", "Iceland", "Islande"],
+  ["ISR", "IL", "ISR", "Israel", "Israël"],
+  ["ITA", "IT", "ITA", "Italy", "Italie", "Italia"],
+  ["JPN", "JP", "JPN", "Japan", "Japon"],
+  ["KAZ", "KZ", "KAZ", "Kazakhstan", "Kazakhstan"],
+  ["KEN", "KE", "KEN", "Kenya", "Kenya"],
+  ["KHM", "KH", "CAM", "Cambodia", "Cambodge"],
+  ["KOR", "KR", "KOR", "South Korea", "Corée du Sud", "Korea"],
+  ["LIE", "LI", "LIE", "Liechtenstein", "Liechtenstein"],
+  ["LTU", "LT", "LTU", "Lithuania", "Lituanie"],
+  ["LUX", "LU", "LUX", "Luxembourg", "Luxembourg"],
+  ["LVA", "LV", "LAT", "Latvia", "Lettonie"],
+  ["MAR", "MA", "MAR", "Morocco", "Maroc"],
+  ["MCO", "MC", "MON", "Monaco", "Monaco"],
+  ["MDA", "MD", "MDA", "Moldova", "Moldavie"],
+  ["MDG", "MG", "MAD", "Madagascar", "Madagascar"],
+  ["MEX", "MX", "MEX", "Mexico", "Mexique", "México", "Messico"],
+  ["MKD", "MK", "MKD", "North Macedonia", "Macédoine du Nord"],
+  ["MLT", "MT", "MLT", "Malta", "Malte"],
+  ["MNE", "ME", "MNE", "Montenegro", "Monténégro"],
+  ["MNG", "MN", "MGL", "Mongolia", "Mongolie"],
+  ["MUS", "MU", "MRI", "Mauritius", "Maurice"],
+  ["MYS", "MY", "MAS", "Malaysia", "Malaisie"],
+  ["NLD", "NL", "NED", "Netherlands", "Pays-Bas", "Nederland"],
+  ["NOR", "NO", "NOR", "Norway", "Norvège", "Norge"],
+  ["NPL", "NP", "NEP", "Nepal", "Népal"],
+  ["NZL", "NZ", "NZL", "New Zealand", "Nouvelle-Zélande"],
+  ["OMN", "OM", "OMA", "Oman", "Oman"],
+  ["PAN", "PA", "PAN", "Panama", "Panama"],
+  ["PER", "PE", "PER", "Peru", "Pérou"],
+  ["PHL", "PH", "PHI", "Philippines", "Philippines"],
+  ["POL", "PL", "POL", "Poland", "Pologne", "Polska"],
+  ["PRI", "PR", "PUR", "Puerto Rico", "Porto Rico"],
+  ["PRK", "KP", "PRK", "North Korea", "Corée du Nord"],
+  ["PRT", "PT", "POR", "Portugal", "Portugal"],
+  ["QAT", "QA", "QAT", "Qatar", "Qatar"],
+  ["ROU", "RO", "ROU", "Romania", "Roumanie", "România"],
+  ["RUS", "RU", "RUS", "Russia", "Russie"],
+  ["SGP", "SG", "SGP", "Singapore", "Singapour"],
+  ["SLV", "SV", "ESA", "El Salvador", "Salvador"],
+  ["SRB", "RS", "SRB", "Serbia", "Serbie"],
+  ["SVK", "SK", "SVK", "Slovakia", "Slovaquie"],
+  ["SVN", "SI", "SLO", "Slovenia", "Slovénie"],
+  ["SWE", "SE", "SWE", "Sweden", "Suède"],
+  ["THA", "TH", "THA", "Thailand", "Thaïlande"],
+  ["TUN", "TN", "TUN", "Tunisia", "Tunisie"],
+  ["TUR", "TR", "TUR", "Turkey", "Turquie"],
+  ["TWN", "TW", "TPE", "Taiwan", "Taïwan", "Chinese Taipei"],
+  ["UGA", "UG", "UGA", "Uganda", "Ouganda"],
+  ["UKR", "UA", "UKR", "Ukraine", "Ukraine"],
+  ["URY", "UY", "URU", "Uruguay", "Uruguay"],
+  ["USA", "US", "USA", "United States", "États-Unis", "United States of America", "Stati Uniti"],
+  ["VEN", "VE", "VEN", "Venezuela", "Venezuela"],
+  ["VNM", "VN", "VIE", "Vietnam", "Viêt Nam", "Viet Nam"],
+  ["XKX", "XK", "KOS", "Kosovo", "Kosovo"],
+  ["ZAF", "ZA", "RSA", "South Africa", "Afrique du Sud"]
+];
+const countryByIso3 = new Map(COUNTRIES.map(c => [c[0], c]));
+const countryLookup = new Map(COUNTRIES.flatMap(c => c.map(alias => [runnerKey(alias), c[0]])));
+
+// Any code or name → ISO-3, or null when unknown.
+function countryIso3(value) {
+  return countryLookup.get(runnerKey(value)) || null;
+}
+
+function countryName(iso3) {
+  const c = countryByIso3.get(iso3);
+  return c ? c[lang === "fr" ? 4 : 3] : iso3;
+}
+
+// Grouping key for a nationality: ISO-3 when known, else the raw value upper-cased.
+function nationalityKey(value) {
+  if (!value) return null;
+  return countryIso3(value) || String(value).trim().toUpperCase();
+}
+
+// ---- Nationality composition ----
+// Top N finishers of each edition (overall or within a gender) split by nationality,
+// as shares stacked to 100 %. The NATIONS_TOP_COUNTRIES most represented nationalities
+// across the selection get their own colour; the rest are pooled as "Other".
+// Local share = finishers of the race's country / N.
+const NATIONS_TOP_COUNTRIES = 8;
+
+function nationalityComposition(course, gender, n) {
+  const ordered = [...course.results].sort((a, b) => a.rank - b.rank);
+  const field = (gender === "both" ? ordered : filterResultsByGender(ordered, gender)).slice(0, n);
+  const counts = new Map();
+  for (const r of field) {
+    const key = nationalityKey(r.nationality);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const home = countryIso3(course.meta?.country);
+  return {
+    size: field.length,
+    counts,
+    home,
+    local: home && field.length ? (counts.get(home) || 0) / field.length : NaN
+  };
+}
+
+async function updateNations() {
+  const el = document.getElementById("nationsPlot");
+  if (!el) return;
+  const gender = state.nationsGender;
+  const ids = Array.from(state.rciNormSelected).sort();
+  const courses = (await Promise.all(ids.map(id => loadCourse(id).catch(() => null)))).filter(Boolean);
+
+  const rows = [];
+  for (const course of courses) {
+    const raceGender = inferRaceGender(course.meta);
+    if (gender !== "both" && raceGender && raceGender !== gender) continue;
+    const comp = nationalityComposition(course, gender, state.nationsTopN);
+    if (comp.size) rows.push({ label: getCourseLabel(course), country: course.meta?.country || "", ...comp });
+  }
+
+  const emptyEl = document.getElementById("nationsEmpty");
+  if (emptyEl) emptyEl.style.display = rows.length ? "none" : "";
+  el.style.display = rows.length ? "" : "none";
+
+  const totals = new Map();
+  for (const row of rows) {
+    for (const [key, count] of row.counts) if (key) totals.set(key, (totals.get(key) || 0) + count / row.size);
+  }
+  const top = [...totals.entries()].sort((a, b) => b[1] - a[1]).slice(0, NATIONS_TOP_COUNTRIES).map(([key]) => key);
+  const palette = ["#c65d26", "#4b8358", "#2f5d8a", "#9a6b2f", "#7a4f9a", "#3f8f8a", "#b0475a", "#5b6b2f", "#8a5a44", "#44608a"];
+  const x = rows.map(r => r.label);
+  const bar = (name, color, countOf) => {
+    const counts = rows.map(countOf);
+    return {
+      type: "bar", x, y: counts.map((c, i) => c / rows[i].size), customdata: counts, name,
+      marker: { color },
+      hovertemplate: `<b>%{x}</b><br>${name}: %{customdata} (%{y:.0%})<extra></extra>`
+    };
+  };
+  const traces = top.map((key, i) => bar(countryName(key), palette[i % palette.length], r => r.counts.get(key) || 0));
+  traces.push(bar(t("nationsOther"), "#d6d0c6", r => r.size - top.reduce((sum, key) => sum + (r.counts.get(key) || 0), 0)));
+  traces.push({
+    type: "scatter", mode: "markers", x, y: rows.map(r => (Number.isFinite(r.local) ? r.local : null)),
+    name: t("nationsLocalShare"),
+    marker: { symbol: "diamond", size: 11, color: "#1f1b16", line: { color: "#fff", width: 1.5 } },
+    hovertemplate: `<b>%{x}</b><br>${t("nationsLocalShare")}: %{y:.0%}<extra></extra>`
+  });
+
+  const mobile = window.innerWidth < 720;
+  Plotly.react("nationsPlot", rows.length ? traces : [], {
+    barmode: "stack",
+    paper_bgcolor: "rgba(0,0,0,0)",
+    plot_bgcolor: "rgba(0,0,0,0)",
+    margin: mobile ? { l: 45, r: 10, t: 10, b: 120 } : { l: 55, r: 160, t: 10, b: 140 },
+    font: { family: "Archivo, sans-serif", size: 12 },
+    xaxis: { tickangle: -35, automargin: true },
+    yaxis: { title: t("nationsShare").replace("N", state.nationsTopN), range: [0, 1], tickformat: ".0%", gridcolor: "#e9e3d9", zeroline: false },
+    showlegend: !mobile,
+    legend: { orientation: "v", x: 1.02, y: 1, xanchor: "left", font: { size: 10 }, bgcolor: "rgba(255,255,255,0.85)", bordercolor: "#e2e8f0", borderwidth: 1 },
+    hovermode: "closest"
+  }, { responsive: true, displayModeBar: false });
+  resizePlot("nationsPlot");
+
+  const tableWrap = document.getElementById("nationsTableWrap");
+  if (tableWrap) {
+    tableWrap.innerHTML = `<table>
+      <thead><tr>
+        <th class="col-left">${t("lorenzColEdition")}</th><th class="col-left">${t("nationsCountry")}</th>
+        <th>${t("lorenzFinishers")}</th><th>${t("nationsCount")}</th><th>${t("nationsLocalShare")}</th>
+        <th class="col-left">${t("nationsLeading")}</th>
+      </tr></thead>
+      <tbody>${rows.map(r => {
+        const [leadKey, leadCount] = [...r.counts.entries()].filter(([key]) => key).sort((a, b) => b[1] - a[1])[0] || [];
+        return `<tr>
+          <td class="col-left" style="font-weight:600;">${r.label}</td>
+          <td class="col-left" style="color:var(--muted);">${r.home ? countryName(r.home) : r.country || "-"}</td>
+          <td class="col-num">${r.size}</td>
+          <td class="col-num">${[...r.counts.keys()].filter(Boolean).length}</td>
+          <td class="col-num">${Number.isFinite(r.local) ? `${fmt(r.local * 100, 0)} %` : "-"}</td>
+          <td class="col-left">${leadKey ? `${countryName(leadKey)} · ${fmt((leadCount / r.size) * 100, 0)} %` : "-"}</td>
+        </tr>`;
+      }).join("")}</tbody>
+    </table>`;
+    tableWrap.style.display = rows.length ? "" : "none";
+  }
+}
+
+// ---- Head-to-head ----
+// Two editions for one gender: depth curves, RCI_N(A) − RCI_N(B) for every N up to
+// COMPARE_MAX_N, the top COMPARE_TOP_LIST of each with shared runners highlighted, and
+// a two-sided permutation test on the difference of the top-N means.
+const COMPARE_MAX_N = 50;
+const COMPARE_TOP_LIST = 20;
+const PERMUTATION_ITERATIONS = 10000;
+
+// p = share of random relabellings of the pooled values whose |mean A − mean B| is at
+// least the observed one (+1 on both sides so p is never 0).
+function permutationTest(a, b, iterations = PERMUTATION_ITERATIONS) {
+  const observed = mean(a) - mean(b);
+  const pooled = [...a, ...b];
+  const total = pooled.reduce((sum, v) => sum + v, 0);
+  let extreme = 0;
+  for (let it = 0; it < iterations; it++) {
+    // Partial Fisher–Yates: the first a.length slots become group A.
+    let sumA = 0;
+    for (let i = 0; i < a.length; i++) {
+      const j = i + Math.floor(Math.random() * (pooled.length - i));
+      [pooled[i], pooled[j]] = [pooled[j], pooled[i]];
+      sumA += pooled[i];
+    }
+    const diff = sumA / a.length - (total - sumA) / b.length;
+    if (Math.abs(diff) >= Math.abs(observed) - 1e-9) extreme++;
+  }
+  return { observed, p: (extreme + 1) / (iterations + 1) };
+}
+
+// Default opponent: the previous edition of the same race, else the next one, else the
+// first of `fallbackIds`.
+function compareOpponent(id, fallbackIds = []) {
+  const meta = getCourseMeta(id);
+  const siblings = getManifestEntries().map(c => getCourseMeta(c.race_id))
+    .filter(m => m && m.race_id !== id && meta?.base_race_id && m.base_race_id === meta.base_race_id)
+    .sort((a, b) => a.year - b.year);
+  const previous = siblings.filter(m => m.year < meta.year).pop();
+  const next = siblings.find(m => m.year > meta.year);
+  return (previous || next)?.race_id || fallbackIds.find(other => other !== id) || null;
+}
+
+function openCompare(idA, idB) {
+  state.compareIds = [idA, idB];
+  setActiveTab("compare");
+}
+
+function fillCompareSelects() {
+  const entries = getManifestEntries()
+    .map(c => ({ id: c.race_id, label: getCourseLabel({ meta: getCourseMeta(c.race_id), race_id: c.race_id }) }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  ["compareA", "compareB"].forEach((elId, i) => {
+    const select = document.getElementById(elId);
+    if (!select) return;
+    if (select.options.length !== entries.length + 1) {
+      select.innerHTML = `<option value="">—</option>` + entries.map(e => `<option value="${e.id}">${e.label}</option>`).join("");
+    }
+    select.value = state.compareIds[i] || "";
+  });
+}
+
+async function updateCompare() {
+  fillCompareSelects();
+  const [idA, idB] = state.compareIds;
+  const gender = state.compareGender;
+  const emptyEl = document.getElementById("compareEmpty");
+  const detailEl = document.getElementById("compareDetail");
+  const summaryEl = document.getElementById("compareSummary");
+  document.getElementById("compareGenderWomen")?.classList.toggle("active", gender === "female");
+  document.getElementById("compareGenderMen")?.classList.toggle("active", gender === "male");
+  document.querySelectorAll("#compareTestN [data-n]").forEach(btn => btn.classList.toggle("active", Number(btn.dataset.n) === state.compareN));
+
+  const ready = idA && idB && idA !== idB;
+  if (emptyEl) emptyEl.style.display = ready ? "none" : "";
+  if (detailEl) detailEl.style.display = ready ? "" : "none";
+  if (!ready) return;
+
+  try {
+    assertSingleScoreType([idA, idB]);
+  } catch (err) {
+    if (err.code !== "mixed-score-types") throw err;
+    if (summaryEl) summaryEl.innerHTML = `<div class="note">${err.message}</div>`;
+    Plotly.react("comparePlot", [], {}, { displayModeBar: false, responsive: true });
+    Plotly.react("compareDiffPlot", [], {}, { displayModeBar: false, responsive: true });
+    ["compareTopA", "compareTopB"].forEach(elId => { const el = document.getElementById(elId); if (el) el.innerHTML = ""; });
+    return;
+  }
+
+  const [courseA, courseB] = await Promise.all([loadCourse(idA), loadCourse(idB)]);
+  if (state.compareIds[0] !== idA || state.compareIds[1] !== idB) return;
+  const sides = [courseA, courseB].map((course, i) => ({
+    key: i ? "B" : "A",
+    label: getCourseLabel(course),
+    color: i ? "rgb(47,93,138)" : "rgb(198,93,38)",
+    field: getRciResultsForMode(course.results, gender, true)
+  }));
+  const [A, B] = sides;
+  const plotLayout = {
+    margin: { l: 55, r: 20, t: 10, b: 45 },
+    plot_bgcolor: "rgba(0,0,0,0)", paper_bgcolor: "rgba(0,0,0,0)",
+    font: { family: "Archivo, sans-serif", size: 12 },
+    legend: { orientation: "h", y: 1.14, font: { size: 11 } }
+  };
+
+  Plotly.react("comparePlot", sides.map(side => ({
+    x: side.field.map((_, i) => i + 1),
+    y: side.field.map(r => r.index),
+    customdata: side.field.map(r => r.runner || ""),
+    mode: "lines", name: `${side.key} · ${side.label}`,
+    line: { color: side.color, width: 2 },
+    hovertemplate: `<b>${side.label}</b><br>#%{x} — %{y:.0f}<br>%{customdata}<extra></extra>`
+  })), {
+    ...plotLayout,
+    xaxis: { title: t("runnerColGenderRank"), type: "log", gridcolor: "#e9e3d9" },
+    yaxis: { title: t("runnerColIndex"), gridcolor: "#e9e3d9" }
+  }, { displayModeBar: false, responsive: true });
+  resizePlot("comparePlot");
+
+  const maxN = Math.min(COMPARE_MAX_N, A.field.length, B.field.length);
+  const ns = Array.from({ length: maxN }, (_, i) => i + 1);
+  const diffs = ns.map(n => rciFromResults(A.field, n, false, state.rciFormula) - rciFromResults(B.field, n, false, state.rciFormula));
+  Plotly.react("compareDiffPlot", [{
+    type: "bar", x: ns, y: diffs,
+    marker: { color: diffs.map(d => (d >= 0 ? A.color : B.color)) },
+    hovertemplate: "N = %{x}<br>Δ %{y:.1f}<extra></extra>"
+  }], {
+    ...plotLayout,
+    showlegend: false,
+    xaxis: { title: "N", gridcolor: "#e9e3d9" },
+    yaxis: { title: t("compareDiff"), gridcolor: "#e9e3d9", zeroline: true, zerolinecolor: "#8a8176" }
+  }, { displayModeBar: false, responsive: true });
+  resizePlot("compareDiffPlot");
+
+  if (summaryEl) {
+    const n = state.compareN;
+    const topA = A.field.slice(0, n).map(r => r.index);
+    const topB = B.field.slice(0, n).map(r => r.index);
+    const test = topA.length >= 2 && topB.length >= 2 ? permutationTest(topA, topB) : null;
+    const metrics = [
+      ...[5, 10, 20].map(level => ({
+        label: `<span title="${describeRciFormula(level)}">RCI${level}</span>`,
+        a: rciFromResults(A.field, level, false, state.rciFormula),
+        b: rciFromResults(B.field, level, false, state.rciFormula)
+      })),
+      { label: t("compareTopMean").replace("{n}", n), a: mean(topA), b: mean(topB) },
+      { label: t("lorenzFinishers"), a: A.field.length, b: B.field.length, digits: 0 }
+    ];
+    const testText = test
+      ? `${t("compareTest").replace("{iterations}", PERMUTATION_ITERATIONS).replace("{n}", n).replace("{diff}", fmt(test.observed, 1)).replace("{p}", fmt(test.p, 3))} — <b>${t(test.p < 0.05 ? "compareSignificant" : "compareNotSignificant")}</b>`
+      : "";
+    summaryEl.innerHTML = `<div class="tableWrap"><table>
+      <thead><tr><th class="col-left">${t("compareMetric")}</th><th>A · ${A.label}</th><th>B · ${B.label}</th><th>Δ</th></tr></thead>
+      <tbody>${metrics.map(m => `<tr>
+        <td class="col-left">${m.label}</td>
+        <td class="col-num">${fmt(m.a, m.digits ?? 2)}</td>
+        <td class="col-num">${fmt(m.b, m.digits ?? 2)}</td>
+        <td class="col-num" style="font-weight:600;">${fmt(m.a - m.b, m.digits ?? 2)}</td>
+      </tr>`).join("")}</tbody>
+    </table></div>
+    <div class="note" style="margin-top:10px;">${testText}</div>`;
+  }
+
+  // Shared runners are matched on the identity key, so "DOE John" meets "John Doe".
+  const tops = sides.map(side => side.field.slice(0, COMPARE_TOP_LIST));
+  const keys = tops.map(top => new Map(top.map((r, i) => [runnerIdentityKey(r.runner), i + 1]).filter(([key]) => key)));
+  const shared = [...keys[0].keys()].filter(key => keys[1].has(key)).length;
+  sides.forEach((side, s) => {
+    const el = document.getElementById(`compareTop${side.key}`);
+    if (!el) return;
+    const other = keys[1 - s];
+    el.innerHTML = `<div style="font-weight:700; margin-bottom:6px; color:${side.color};">${side.key} · ${side.label}</div>
+      <div class="tableWrap"><table>
+        <thead><tr><th>#</th><th class="col-left">${t("compareRunner")}</th><th>${t("runnerColIndex")}</th><th>${B === side ? "A" : "B"}</th></tr></thead>
+        <tbody>${tops[s].map((r, i) => {
+          const otherRank = other.get(runnerIdentityKey(r.runner));
+          return `<tr style="${otherRank ? "background:var(--clay-tint);" : ""}">
+            <td class="col-num">${i + 1}</td>
+            <td class="col-left" style="${otherRank ? "font-weight:700;" : ""}">${escapeHtml(r.runner || "-")} <span style="color:var(--muted); font-size:11px;">${escapeHtml(r.nationality)}</span></td>
+            <td class="col-num">${fmt(r.index, 0)}</td>
+            <td class="col-num">${otherRank ? `#${otherRank}` : ""}</td>
+          </tr>`;
+        }).join("")}</tbody>
+      </table></div>`;
+  });
+  const sharedEl = document.getElementById("compareShared");
+  if (sharedEl) sharedEl.textContent = t("compareShared").replace("{n}", shared).replace("{top}", COMPARE_TOP_LIST);
+}
+
+// ---- Runners ----
+// A runner is matched on their name as it appears in results, ignoring case, accents
+// and spacing. Contribution = the race's RCI10 minus the RCI10 it would have without
+// this runner (leave-one-out, with the next finisher moving up).
+const RUNNER_CONTRIBUTION_N = 10;
+let localRunnerIndex = null;
+
+function runnerKey(name) {
+  return String(name || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+async function getLocalRunnerIndex() {
+  if (localRunnerIndex) return localRunnerIndex;
+  const index = new Map();
+  const ids = getManifestEntries().map(c => c.race_id);
+  const courses = await Promise.all(ids.map(id => loadCourse(id).catch(() => null)));
+  courses.forEach((course, i) => {
+    if (!course) return;
+    for (const r of course.results) {
+      const key = runnerIdentityKey(r.runner);
+      if (!key) continue;
+      if (!index.has(key)) index.set(key, { names: new Map(), nationality: r.nationality || null, rows: [] });
+      const entry = index.get(key);
+      entry.names.set(r.runner, (entry.names.get(r.runner) || 0) + 1);
+      entry.rows.push({ edition_id: ids[i], rank: r.rank, index: r.index, gender: r.gender, nationality: r.nationality, score_type: r.score_type });
+    }
+  });
+  localRunnerIndex = index;
+  return index;
+}
+
+async function searchRunners(query, limit = 20) {
+  const q = runnerKey(query);
+  if (q.length < 2) return [];
+  const source = getDataSource();
+  if (source.searchRunners) return source.searchRunners(query.trim(), limit);
+  const matches = [];
+  for (const entry of (await getLocalRunnerIndex()).values()) {
+    if (![...entry.names.keys()].some(name => runnerKey(name).includes(q))) continue;
+    const [runner] = [...entry.names.entries()].sort((a, b) => b[1] - a[1])[0];
+    matches.push({ runner, nationality: entry.nationality, finishes: entry.rows.length });
+  }
+  return matches.sort((a, b) => b.finishes - a.finishes || a.runner.localeCompare(b.runner)).slice(0, limit);
+}
+
+function runnerRciContribution(field, rank, n = RUNNER_CONTRIBUTION_N) {
+  const pos = field.findIndex(r => r.rank === rank);
+  if (pos < 0) return NaN;
+  const without = field.filter((_, i) => i !== pos);
+  return rciFromResults(field, n, false, state.rciFormula) - rciFromResults(without, n, false, state.rciFormula);
+}
+
+async function loadRunnerHistory(name, runnerId = null) {
+  const source = getDataSource();
+  const rows = source.getRunnerResults
+    ? await source.getRunnerResults(name, runnerId)
+    : (await getLocalRunnerIndex()).get(runnerIdentityKey(name))?.rows || [];
+  const history = [];
+  for (const row of rows) {
+    const course = await loadCourse(row.edition_id).catch(() => null);
+    if (!course || course.meta?.projected) continue; // registrants of a start list, not finishers
+    const sex = normalizeGenderLabel(row.gender);
+    const field = sex ? getRciResultsForMode(course.results, sex, true) : [];
+    const genderPos = field.findIndex(r => r.rank === row.rank);
+    history.push({
+      edition_id: row.edition_id,
+      label: getCourseLabel(course),
+      year: course.meta?.year,
+      rank: row.rank,
+      genderRank: genderPos >= 0 ? genderPos + 1 : null,
+      index: row.index,
+      sex,
+      scoreType: row.score_type || course.meta?.score_type || DEFAULT_SCORE_TYPE,
+      nationality: row.nationality,
+      contribution: sex ? runnerRciContribution(field, row.rank) : NaN
+    });
+  }
+  return history.sort((a, b) => (a.year || 0) - (b.year || 0) || a.label.localeCompare(b.label));
+}
+
+async function renderRunnerList() {
+  const list = document.getElementById("runnerList");
+  if (!list) return;
+  const query = document.getElementById("runnerSearch")?.value || "";
+  if (runnerKey(query).length < 2) { list.innerHTML = ""; return; }
+  let matches = [];
+  try {
+    matches = await searchRunners(query);
+  } catch (err) {
+    list.innerHTML = `<div class="note" style="padding:8px;">${err.message}</div>`;
+    return;
+  }
+  if ((document.getElementById("runnerSearch")?.value || "") !== query) return; // a newer search is under way
+  if (!matches.length) { list.innerHTML = `<div class="note" style="padding:8px;">${t("runnersNoMatch")}</div>`; return; }
+  list.innerHTML = "";
+  for (const m of matches) {
+    const item = document.createElement("div");
+    item.className = "race-item" + (runnerKey(state.runnerName) === runnerKey(m.runner) ? " selected" : "");
+    // Names come from the search box or ?runner=: text nodes only, never parsed as HTML.
+    const nameEl = document.createElement("span");
+    nameEl.className = "race-item-name";
+    nameEl.textContent = m.runner;
+    const subEl = document.createElement("span");
+    subEl.style.cssText = "font-size:11px; color:var(--muted);";
+    subEl.textContent = `${m.nationality || ""} · ${m.finishes}`;
+    item.append(nameEl, subEl);
+    item.addEventListener("click", () => {
+      list.querySelectorAll(".race-item").forEach(el => el.classList.toggle("selected", el === item));
+      openRunnerProfile(m.runner, m.runner_id);
+    });
+    list.appendChild(item);
+  }
+}
+
+// runnerId: set when the runner comes from the search, so the history follows the
+// runner link instead of looking the name up again.
+function openRunnerProfile(name, runnerId = null) {
+  state.runnerName = name;
+  state.runnerId = runnerId;
+  if (state.activeTab !== "runners") setActiveTab("runners");
+  else renderRunnerProfile();
+}
+
+async function renderRunnerProfile() {
+  const name = state.runnerName;
+  const emptyEl = document.getElementById("runnerEmpty");
+  const detailEl = document.getElementById("runnerDetail");
+  if (!name) {
+    if (emptyEl) emptyEl.style.display = "";
+    if (detailEl) detailEl.style.display = "none";
+    return;
+  }
+  if (emptyEl) emptyEl.style.display = "none";
+  if (detailEl) detailEl.style.display = "";
+
+  const history = await loadRunnerHistory(name, state.runnerId);
+  if (state.runnerName !== name) return;
+  const nationality = history.map(h => h.nationality).find(Boolean) || "";
+  const headerEl = document.getElementById("runnerHeader");
+  if (headerEl) {
+    // The name may come straight from ?runner=: set as text, never as HTML.
+    const nameEl = document.createElement("div");
+    nameEl.style.cssText = "font-size:15px; font-weight:700;";
+    nameEl.textContent = name;
+    const subEl = document.createElement("div");
+    subEl.style.cssText = "font-size:12px; color:var(--muted);";
+    subEl.textContent = [nationality, `${history.length} ${t("runnersFinishes")}`].filter(Boolean).join(" · ");
+    headerEl.replaceChildren(nameEl, subEl);
+  }
+
+  // One trace per score type: ITRA and UTMB Index values do not share an axis scale.
+  const traces = SCORE_TYPES.map(type => {
+    const points = history.filter(h => h.scoreType === type);
+    return {
+      x: points.map(h => h.year), y: points.map(h => h.index), text: points.map(h => h.label),
+      name: SCORE_TYPE_LABELS[type], mode: "lines+markers",
+      line: { color: type === "utmb" ? "rgb(47,93,138)" : "rgb(198,93,38)", width: 2 }, marker: { size: 8 },
+      hovertemplate: "<b>%{text}</b><br>%{y:.0f}<extra></extra>"
+    };
+  }).filter(tr => tr.x.length);
+  Plotly.react("runnerPlot", traces, {
+    margin: { l: 50, r: 20, t: 10, b: 40 },
+    xaxis: { tickmode: "linear", dtick: 1, fixedrange: true, showgrid: true, gridcolor: "#e9e3d9" },
+    yaxis: { title: t("runnerColIndex"), fixedrange: true, showgrid: true, gridcolor: "#e9e3d9" },
+    showlegend: traces.length > 1,
+    legend: { orientation: "h", y: 1.16, font: { size: 11 } },
+    plot_bgcolor: "rgba(0,0,0,0)", paper_bgcolor: "rgba(0,0,0,0)",
+    font: { family: "Archivo, sans-serif", size: 12 }
+  }, { displayModeBar: false, responsive: true });
+  resizePlot("runnerPlot");
+
+  const tableWrap = document.getElementById("runnerTableWrap");
+  if (tableWrap) {
+    const rows = history.map(h => {
+      const c = h.contribution;
+      const cText = Number.isFinite(c) && Math.abs(c) > 1e-9 ? `${c > 0 ? "+" : ""}${fmt(c, 2)}` : "–";
+      return `<tr>
+        <td class="col-left" style="font-family:'IBM Plex Mono',monospace;">${h.year ?? "-"}</td>
+        <td class="col-left" style="font-weight:600;">${h.label}</td>
+        <td class="col-num">${h.rank}</td>
+        <td class="col-num">${h.genderRank ?? "-"}</td>
+        <td class="col-num">${fmt(h.index, 0)}</td>
+        <td class="col-left" style="color:var(--muted);">${SCORE_TYPE_LABELS[h.scoreType] || h.scoreType}</td>
+        <td class="col-num">${cText}</td>
+      </tr>`;
+    }).join("");
+    tableWrap.innerHTML = `<table>
+      <thead><tr>
+        <th class="col-left">${t("yearCol")}</th><th class="col-left">${t("runnerColRace")}</th>
+        <th>${t("runnerColRank")}</th><th>${t("runnerColGenderRank")}</th><th>${t("runnerColIndex")}</th>
+        <th class="col-left">${t("runnerColType")}</th><th title="${t("runnerContributionHint")}">${t("runnerColContribution")}</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }
+}
+
+// ---- Runner identity ----
+// Imports link every named result to a `runners` row. Names are compared on their
+// identity key (runnerKey with the tokens sorted, so "BOUILLARD Vincent" and "Vincent
+// Bouillard" agree). Same key and compatible nationality → 'exact'; otherwise the
+// closest candidate at RUNNER_FUZZY_MIN similarity or more → 'fuzzy', left for an admin
+// to confirm or split in admin → Runners; anything else → a new runner.
+const RUNNER_FUZZY_MIN = 0.85;
+const RUNNER_CANDIDATE_BATCH = 200;
+
+function runnerIdentityKey(name) {
+  return runnerKey(name).replace(/[-'’.,]/g, " ").split(" ").filter(Boolean).sort().join(" ");
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function nameSimilarity(keyA, keyB) {
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+  return 1 - levenshtein(keyA, keyB) / Math.max(keyA.length, keyB.length);
 }
 
-async function updateVisualization() {
-  const vizEl = document.getElementById("vizCount");
-  if (vizEl) vizEl.textContent = String(state.vizSelected.size);
-  await renderParityVisualization();
+// Missing nationality never contradicts; otherwise compare case-insensitively.
+function sameNationality(a, b) {
+  return !a || !b || String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
 }
 
-// ---- Charts: rank curve (depth) ----
-function getCourseLabel(course) {
-  const name = course.meta?.name || course.meta?.race_id || course.race_id;
-  const year = course.meta?.year;
-  return year ? `${name} ${year}` : name;
+// candidates: [{ runner_id, name_key, nationality }] → { runner_id, match, score }
+function matchRunner(name, nationality, candidates) {
+  const key = runnerIdentityKey(name);
+  const exact = candidates.filter(c => c.name_key === key && sameNationality(nationality, c.nationality));
+  // Several runners share the key once an admin has split namesakes: let them choose.
+  if (exact.length === 1) return { runner_id: exact[0].runner_id, match: "exact", score: 1 };
+  let best = null;
+  for (const c of candidates) {
+    const score = nameSimilarity(key, c.name_key);
+    if (!best || score > best.score) best = { runner_id: c.runner_id, score };
+  }
+  if (best && best.score >= RUNNER_FUZZY_MIN) return { ...best, match: "fuzzy" };
+  return { runner_id: null, match: "new", score: null };
 }
 
-function groupForCharts(courses, topN, gender = "both") {
-  const grouped = new Map();
-  for (const c of courses) {
-    const id = c.meta?.race_id || c.race_id;
-    let results = (c.results || []).filter(r => r.rank >= 1);
-    if (gender !== "both") {
-      results = filterResultsByGender(results, gender)
-        .sort((a, b) => a.rank - b.rank)
-        .slice(0, topN)
-        .map((r, i) => ({ ...r, rank: i + 1 }));
-    } else {
-      results = results.filter(r => r.rank <= topN).sort((a, b) => a.rank - b.rank);
+async function fetchRunnerCandidates(keys) {
+  const byKey = new Map();
+  for (let i = 0; i < keys.length; i += RUNNER_CANDIDATE_BATCH) {
+    const { data, error } = await window.supabaseClient.rpc("runner_candidates", { keys: keys.slice(i, i + RUNNER_CANDIDATE_BATCH) });
+    if (error) throw new Error("runner_candidates: " + error.message);
+    for (const c of data || []) {
+      if (!byKey.has(c.key)) byKey.set(c.key, []);
+      byKey.get(c.key).push(c);
     }
-    grouped.set(id, { label: getCourseLabel(c), arr: results });
   }
-  return grouped;
+  return byKey;
 }
 
-function updateRankPlot(grouped, topN) {
-  const plotEl = document.getElementById("plot");
-  if (!plotEl) return;
-  const ids = Array.from(grouped.keys()).sort();
-  const traces = ids.map(id => {
-    const entry = grouped.get(id);
-    const arr = entry?.arr || [];
-    const label = entry?.label || id;
-    return {
-      x: arr.map(r => r.rank),
-      y: arr.map(r => r.index),
-      mode: "lines",
-      name: label,
-      hovertemplate: `<b>${label}</b><br>Rank %{x} — Index %{y:.0f}<extra></extra>`,
-      line: { width: 2 }
-    };
+// Returns one { runner_id, runner_match, runner_match_score } per result, creating the
+// runners that do not exist yet. `previous` holds the edition's rows before a re-import:
+// links an admin confirmed are kept for the same name.
+async function linkResultsToRunners(results, previous = []) {
+  const confirmed = new Map(previous.filter(p => p.runner_match === "confirmed" && p.runner_id).map(p => [p.runner, p.runner_id]));
+  const keys = [...new Set(results.filter(r => r.runner && !confirmed.has(r.runner)).map(r => runnerIdentityKey(r.runner)))];
+  const candidates = await fetchRunnerCandidates(keys);
+  const used = new Set();
+  const links = results.map(r => {
+    if (!r.runner) return { runner_id: null, runner_match: null, runner_match_score: null };
+    if (confirmed.has(r.runner)) {
+      used.add(confirmed.get(r.runner));
+      return { runner_id: confirmed.get(r.runner), runner_match: "confirmed", runner_match_score: null };
+    }
+    const m = matchRunner(r.runner, r.nationality, candidates.get(runnerIdentityKey(r.runner)) || []);
+    // Two finishers of the same race are two people.
+    if (m.runner_id && used.has(m.runner_id)) return { runner_id: null, runner_match: "new", runner_match_score: null };
+    if (m.runner_id) used.add(m.runner_id);
+    return { runner_id: m.runner_id, runner_match: m.match, runner_match_score: m.score };
   });
 
-  const mobile = window.innerWidth < 720;
-  Plotly.react("plot", traces, {
-    paper_bgcolor: "rgba(0,0,0,0)",
-    plot_bgcolor: "rgba(0,0,0,0)",
-    margin: mobile ? { l: 45, r: 10, t: 10, b: 50 } : { l: 55, r: 160, t: 10, b: 50 },
-    font: { family: "Archivo, sans-serif", size: 12 },
-    xaxis: { title: "Rank", range: [1, topN], gridcolor: "#e9e3d9", zeroline: false, tickfont: { size: 10 } },
-    yaxis: { title: "Index", gridcolor: "#e9e3d9", zeroline: false, tickfont: { size: 10 } },
-    showlegend: !mobile,
-    legend: { orientation: "v", x: 1.02, y: 1, xanchor: "left", font: { size: 10 }, bgcolor: "rgba(255,255,255,0.85)", bordercolor: "#e2e8f0", borderwidth: 1 },
-    hovermode: "closest"
-  }, { responsive: true, displayModeBar: false });
-  resizePlot("plot");
+  // Every result passed in belongs to one edition, so each unmatched row is its own runner.
+  const pending = results.map((r, i) => ({ r, link: links[i] })).filter(p => p.link.runner_match === "new");
+  for (let i = 0; i < pending.length; i += RUNNER_CANDIDATE_BATCH) {
+    const batch = pending.slice(i, i + RUNNER_CANDIDATE_BATCH);
+    const { data, error } = await window.supabaseClient.from("runners")
+      .insert(batch.map(({ r }) => ({ canonical_name: r.runner, name_key: runnerIdentityKey(r.runner), nationality: r.nationality || null })))
+      .select("id");
+    if (error) throw new Error("Insert runners: " + error.message);
+    batch.forEach((p, j) => { p.link.runner_id = data[j].id; });
+  }
+  return links;
 }
 
-async function updateCharts() {
-  const el = document.getElementById("chartsVizCount");
-  if (el) el.textContent = String(state.rciNormSelected.size);
-  const topN = state.topN;
-  const ids = Array.from(state.rciNormSelected).sort();
-  const courses = await Promise.all(ids.map(id => loadCourse(id).catch(() => null)));
-  const grouped = groupForCharts(courses.filter(Boolean), topN, state.chartsGender);
-  updateRankPlot(grouped, topN);
+// Links results imported before the runners table existed, edition by edition.
+async function linkUnmatchedResults() {
+  const statusEl = document.getElementById("identityStatus");
+  const btn = document.getElementById("linkRunnersBtn");
+  const ids = getManifestEntries().map(c => c.race_id);
+  if (btn) btn.disabled = true;
+  let linked = 0, fail = 0;
+  for (const [i, id] of ids.entries()) {
+    if (statusEl) statusEl.textContent = `Linking ${i + 1} / ${ids.length}…`;
+    try {
+      const { data, error } = await window.supabaseClient.from("results").select("*")
+        .eq("edition_id", id).is("runner_id", null).not("runner", "is", null);
+      if (error) throw new Error(error.message);
+      if (!data?.length) continue;
+      const links = await linkResultsToRunners(data);
+      const { error: upErr } = await window.supabaseClient.from("results")
+        .upsert(data.map((r, j) => ({ ...r, ...links[j] })), { onConflict: "id" });
+      if (upErr) throw new Error(upErr.message);
+      linked += data.length;
+    } catch (err) {
+      console.warn("[runners]", id, err.message);
+      fail++;
+    }
+  }
+  if (btn) btn.disabled = false;
+  if (statusEl) statusEl.textContent = `${linked} results linked${fail ? `, ${fail} editions failed` : ""}.`;
+  localRunnerIndex = null;
+  await renderRunnerMatches();
+}
+
+async function renderRunnerMatches() {
+  const wrap = document.getElementById("runnerMatchesWrap");
+  if (!wrap) return;
+  if (!window.supabaseClient) {
+    wrap.innerHTML = `<div class="note" style="padding:10px;">Supabase not configured.</div>`;
+    return;
+  }
+  const { data, error } = await window.supabaseClient.from("results")
+    .select("id, edition_id, rank, runner, nationality, runner_match_score, runners(id, canonical_name, nationality)")
+    .eq("runner_match", "fuzzy")
+    .order("runner_match_score", { ascending: true })
+    .limit(200);
+  if (error) {
+    wrap.innerHTML = `<div class="note" style="padding:10px;">${error.message}</div>`;
+    return;
+  }
+  const countEl = document.getElementById("runnerMatchesCount");
+  if (countEl) countEl.textContent = data.length;
+  if (!data.length) {
+    wrap.innerHTML = `<div class="note" style="padding:10px;">No ambiguous matches.</div>`;
+    return;
+  }
+  wrap.innerHTML = `<table>
+    <thead><tr><th>Edition</th><th>Rank</th><th>Result name</th><th>Matched runner</th><th style="text-align:right;">Similarity</th><th></th></tr></thead>
+    <tbody>${data.map(r => `<tr>
+      <td>${r.edition_id}</td>
+      <td>${r.rank}</td>
+      <td data-result-name></td>
+      <td data-runner-name>${r.runners ? "" : "-"}</td>
+      <td style="text-align:right;">${fmt(r.runner_match_score, 2)}</td>
+      <td style="white-space:nowrap;">
+        <button class="chip-sm" data-confirm="${r.id}">Confirm</button>
+        <button class="chip-sm" data-split="${r.id}">Split</button>
+      </td>
+    </tr>`).join("")}</tbody>
+  </table>`;
+  // Names are what this screen reviews, odd ones included: set as text, never as HTML.
+  const nameCell = (cell, name, ...notes) => {
+    cell.append(name || "");
+    for (const note of notes.filter(Boolean)) {
+      const span = document.createElement("span");
+      span.className = "note";
+      span.textContent = note;
+      cell.append(" ", span);
+    }
+  };
+  wrap.querySelectorAll("tbody tr").forEach((tr, i) => {
+    const r = data[i];
+    nameCell(tr.querySelector("[data-result-name]"), r.runner, r.nationality);
+    if (r.runners) nameCell(tr.querySelector("[data-runner-name]"), r.runners.canonical_name, r.runners.nationality, `#${r.runners.id}`);
+  });
+  const byId = new Map(data.map(r => [String(r.id), r]));
+  wrap.querySelectorAll("[data-confirm]").forEach(btn => btn.addEventListener("click", () =>
+    resolveRunnerMatch(byId.get(btn.dataset.confirm), "confirm").catch(err => alert(err.message))));
+  wrap.querySelectorAll("[data-split]").forEach(btn => btn.addEventListener("click", () =>
+    resolveRunnerMatch(byId.get(btn.dataset.split), "split").catch(err => alert(err.message))));
+}
+
+// confirm: keep the suggested runner. split: the result gets a runner of its own.
+async function resolveRunnerMatch(row, action) {
+  const client = window.supabaseClient;
+  const update = { runner_match: "confirmed", runner_match_score: null };
+  if (action === "split") {
+    const { data, error } = await client.from("runners")
+      .insert({ canonical_name: row.runner, name_key: runnerIdentityKey(row.runner), nationality: row.nationality || null })
+      .select("id").single();
+    if (error) throw new Error("Insert runner: " + error.message);
+    update.runner_id = data.id;
+  }
+  const { error } = await client.from("results").update(update).eq("id", row.id);
+  if (error) throw new Error("Update result: " + error.message);
+  await renderRunnerMatches();
 }
 
 // ---- Admin: Races tab ----
@@ -1661,6 +4688,9 @@ async function renderAdminRaceDetail(editionId) {
     const meta = course.meta || {};
     const series = normalizeSeries(meta.series).join(", ");
     detail.innerHTML = `
+      <div style="text-align:right; margin-bottom:8px;">
+        <a href="../report/?edition=${encodeURIComponent(editionId)}" target="_blank" rel="noopener" class="chip-sm" style="text-decoration:none;">Report ↗</a>
+      </div>
       <div class="metaGrid">
         ${renderMetaCard("Edition ID", editionId)}
         ${renderMetaCard("Base race", meta.base_race_id || "-")}
@@ -1675,7 +4705,7 @@ async function renderAdminRaceDetail(editionId) {
           <thead><tr><th>#</th><th>Runner</th><th>Index</th><th>Gender</th><th>Nat.</th></tr></thead>
           <tbody>
             ${(course.results || []).map(r =>
-              `<tr><td>${r.rank}</td><td>${r.runner ?? "-"}</td><td>${fmt(r.index, 1)}</td><td>${r.gender ?? "-"}</td><td>${r.nationality ?? "-"}</td></tr>`
+              `<tr><td>${r.rank}</td><td>${r.runner ? `<a href="../?runner=${encodeURIComponent(r.runner)}" target="_blank" rel="noopener">${r.runner}</a>` : "-"}</td><td>${fmt(r.index, 1)}</td><td>${r.gender ?? "-"}</td><td>${r.nationality ?? "-"}</td></tr>`
             ).join("")}
           </tbody>
         </table>
@@ -1696,15 +4726,25 @@ function resizePlot(id) {
 
 function setActiveTab(tab) {
   const safeTab = getSafeTab(state.appMode, tab);
+  const previousTab = state.activeTab;
   state.activeTab = safeTab;
 
   const pageMap = {
     rcinormcharts: "pageRciNorm",
     trends: "pageTrends",
+    series: "pageSeries",
     visualization: "pageViz",
     charts: "pageCharts",
+    lorenz: "pageLorenz",
+    heatmap: "pageHeatmap",
+    nations: "pageNations",
+    compare: "pageCompare",
+    runners: "pageRunners",
     import: "pageImport",
-    races: "pageRaces"
+    races: "pageRaces",
+    identities: "pageIdentities",
+    card: "pageCard",
+    report: "pageReport"
   };
   for (const [key, id] of Object.entries(pageMap)) {
     const el = document.getElementById(id);
@@ -1715,13 +4755,439 @@ function setActiveTab(tab) {
   document.getElementById("tabTrends")?.classList.toggle("active", safeTab === "trends");
   document.getElementById("vizTabParity")?.classList.toggle("active", safeTab === "visualization");
   document.getElementById("tabCharts")?.classList.toggle("active", safeTab === "charts");
+  document.getElementById("tabLorenz")?.classList.toggle("active", safeTab === "lorenz");
+  document.getElementById("tabHeatmap")?.classList.toggle("active", safeTab === "heatmap");
+  document.getElementById("tabSeries")?.classList.toggle("active", safeTab === "series");
+  document.getElementById("tabNations")?.classList.toggle("active", safeTab === "nations");
+  document.getElementById("tabCompare")?.classList.toggle("active", safeTab === "compare");
+  document.getElementById("tabRunners")?.classList.toggle("active", safeTab === "runners");
   document.getElementById("tabImport")?.classList.toggle("active", safeTab === "import");
   document.getElementById("tabRaces")?.classList.toggle("active", safeTab === "races");
+  document.getElementById("tabIdentities")?.classList.toggle("active", safeTab === "identities");
 
   if (safeTab === "trends") { renderTrendsRaceList(); renderTrendsChart(); }
   if (safeTab === "visualization") updateVisualization();
   if (safeTab === "charts") updateCharts();
+  if (safeTab === "lorenz") updateLorenz();
+  if (safeTab === "heatmap") updateHeatmap();
+  if (safeTab === "series") renderSeries();
+  if (safeTab === "nations") updateNations();
+  if (safeTab === "compare") updateCompare();
+  if (safeTab === "runners") renderRunnerProfile();
   if (safeTab === "races") renderAdminRaceList(document.getElementById("searchRace")?.value || "");
+  if (safeTab === "identities") renderRunnerMatches();
+  if (safeTab === "card") renderEmbedCard();
+  if (safeTab === "report") renderReport();
+  // A tab switch is a history entry, so back/forward walks through tabs
+  writeViewUrl(safeTab !== previousTab);
+}
+
+// ---- Deep links ----
+// The public view is mirrored in the query string so that a copied URL reopens the
+// same table or chart. Only values that differ from the defaults are written. The
+// selection travels as the chips that produced it, or as edition ids (`ids`) once it
+// was edited by hand. `runner` keeps the format of the older /?runner= links.
+const GENDER_PAIR = ["female", "male"];
+const GENDER_ANY = ["both", "female", "male"];
+const POSITIVE_INT = /^[1-9]\d{0,3}$/;
+const SORT_PARAM = /^[a-z0-9_]+\.(asc|desc)$/;
+// Runner names are free text: bounded, and nothing that could pass for markup or a control character.
+const RUNNER_PARAM = /^[^\u0000-\u001f\u007f<>]{1,80}$/;
+
+function viewParam(key, def, valid, get, set) {
+  return { key, def: String(def), valid, get: () => String(get() ?? ""), set };
+}
+
+const sortParam = gender => viewParam(gender === "female" ? "sf" : "sm", "rc10.desc", SORT_PARAM,
+  () => `${state.rciNormSorts[gender].key}.${state.rciNormSorts[gender].dir}`,
+  v => { const [key, dir] = v.split("."); state.rciNormSorts[gender] = { key, dir }; });
+
+const VIEW_PARAMS = [
+  viewParam("rg", "female", GENDER_PAIR, () => state.publicRciGender, v => { state.publicRciGender = v; }),
+  sortParam("female"),
+  sortParam("male"),
+  viewParam("fn", "", /^([1-9]\d{0,2})?$/, () => state.rciFormula.n, v => { state.rciFormula.n = v ? Number(v) : null; }),
+  viewParam("fk", DEFAULT_RCI_FORMULA.k, /^\d+(\.\d+)?$/, () => state.rciFormula.k, v => { state.rciFormula.k = Number(v); }),
+  viewParam("ftrim", "0", ["0", "1"], () => state.rciFormula.trimTop ? "1" : "0", v => { state.rciFormula.trimTop = v === "1"; }),
+  viewParam("fc", DEFAULT_RCI_FORMULA.center, ["mean", "median"], () => state.rciFormula.center, v => { state.rciFormula.center = v; }),
+  viewParam("ci", "0", ["0", "1"], () => state.rciCi ? "1" : "0", v => { state.rciCi = v === "1"; }),
+  viewParam("auc", AUC_DEFAULT_RANK, POSITIVE_INT, () => state.aucRank, v => { state.aucRank = Number(v); }),
+  viewParam("pn", 10, POSITIVE_INT, () => state.parityN, v => { state.parityN = Number(v); }),
+  viewParam("top", 30, POSITIVE_INT, () => state.topN, v => { state.topN = Math.min(50, Math.max(5, Number(v))); }),
+  viewParam("cg", "both", GENDER_ANY, () => state.chartsGender, v => { state.chartsGender = v; }),
+  viewParam("lg", "both", GENDER_ANY, () => state.lorenzGender, v => { state.lorenzGender = v; }),
+  viewParam("hg", "female", GENDER_PAIR, () => state.heatmapGender, v => { state.heatmapGender = v; }),
+  viewParam("hm", "deciles", ["deciles", "bands"], () => state.heatmapMode, v => { state.heatmapMode = v; }),
+  viewParam("ng", "both", GENDER_ANY, () => state.nationsGender, v => { state.nationsGender = v; }),
+  viewParam("nn", 20, POSITIVE_INT, () => state.nationsTopN, v => { state.nationsTopN = Number(v); }),
+  viewParam("sg", "female", GENDER_PAIR, () => state.seriesGender, v => { state.seriesGender = v; }),
+  viewParam("sk", "rc10", ["rc5", "rc10", "rc20", "auc"], () => state.seriesKey, v => { state.seriesKey = v; }),
+  viewParam("race", "", /^[\w.-]*$/, () => state.trendsRaceId, v => { state.trendsRaceId = v || null; }),
+  viewParam("tg", "both", GENDER_ANY, () => state.trendsGender, v => { state.trendsGender = v; }),
+  viewParam("tk", "rc5", /^(rc[1-9]\d*|auc)$/, () => state.trendsRciKey, v => { state.trendsRciKey = v; }),
+  viewParam("cmp", ",", /^[^,]*,[^,]*$/, () => state.compareIds.map(id => id || "").join(","),
+    v => { state.compareIds = v.split(",").map(id => courseMetaCache.has(id) ? id : null); }),
+  viewParam("cmpg", "female", GENDER_PAIR, () => state.compareGender, v => { state.compareGender = v; }),
+  viewParam("cmpn", 10, POSITIVE_INT, () => state.compareN, v => { state.compareN = Number(v); }),
+  viewParam("runner", "", RUNNER_PARAM, () => state.activeTab === "runners" ? state.runnerName : "", v => {
+    if (v !== state.runnerName) state.runnerId = null;
+    state.runnerName = v || null;
+  })
+];
+
+function viewUrl() {
+  const params = new URLSearchParams();
+  if (state.activeTab !== DEFAULT_TAB_BY_MODE.public) params.set("tab", state.activeTab);
+  if (chipState.isManual) {
+    params.set("ids", [...state.rciNormSelected].sort().join(","));
+  } else {
+    const series = [...chipState.activeSeries].sort().join(",");
+    const years = [...chipState.activeYears].sort((a, b) => b - a).join(",");
+    if (series) params.set("series", series);
+    if (years !== "2025") params.set("years", years);
+  }
+  if (chipState.activeCountry) params.set("country", chipState.activeCountry);
+  for (const spec of VIEW_PARAMS) {
+    const value = spec.get();
+    if (value !== spec.def) params.set(spec.key, value);
+  }
+  const query = params.toString().replace(/%2C/g, ",");
+  return `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+}
+
+function writeViewUrl(push = false) {
+  if (state.appMode !== "public") return;
+  const url = viewUrl();
+  if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+  history[push ? "pushState" : "replaceState"](null, "", url);
+}
+
+function applyViewParams(params) {
+  state.activeTab = getSafeTab("public", params.get("tab") || (RUNNER_PARAM.test(params.get("runner") || "") ? "runners" : null));
+  for (const spec of VIEW_PARAMS) {
+    const raw = params.get(spec.key);
+    const ok = raw !== null && (Array.isArray(spec.valid) ? spec.valid.includes(raw) : spec.valid.test(raw));
+    spec.set(ok ? raw : spec.def);
+  }
+
+  const list = key => (params.get(key) || "").split(",").map(v => v.trim()).filter(Boolean);
+  chipState.activeSeries.clear();
+  chipState.activeYears.clear();
+  chipState.isManual = params.has("ids");
+  if (chipState.isManual) {
+    const known = new Set(getManifestEntries().map(c => c.race_id));
+    state.rciNormSelected.clear();
+    for (const id of list("ids")) if (known.has(id)) state.rciNormSelected.add(id);
+  } else {
+    for (const s of list("series")) chipState.activeSeries.add(s);
+    const years = params.has("years") ? list("years") : ["2025"];
+    for (const y of years.map(Number).filter(Number.isFinite)) chipState.activeYears.add(y);
+  }
+  chipState.activeCountry = params.get("country") || "";
+  state.rciNormFilters.country = chipState.activeCountry;
+  _publicFilterSync();
+  syncViewControls();
+}
+
+// Toggles whose active class is otherwise only set by their own click handler.
+function syncViewControls() {
+  const toggle = (id, on) => document.getElementById(id)?.classList.toggle("active", on);
+  syncRciFormulaInputs();
+  toggle("rciTabWomen", state.publicRciGender === "female");
+  toggle("rciTabMen", state.publicRciGender === "male");
+  for (const id of ["rciCiToggle", "trendsCiToggle", "parityCiToggle"]) toggle(id, state.rciCi);
+  document.querySelectorAll("#parityNChips [data-n]").forEach(b =>
+    b.classList.toggle("active", Number(b.dataset.n) === state.parityN));
+  for (const [prefix, gender] of [["chartsGender", state.chartsGender], ["lorenzGender", state.lorenzGender],
+    ["nationsGender", state.nationsGender], ["trendsGender", state.trendsGender]]) {
+    toggle(`${prefix}Both`, gender === "both");
+    toggle(`${prefix}Women`, gender === "female");
+    toggle(`${prefix}Men`, gender === "male");
+  }
+  toggle("heatmapWomen", state.heatmapGender === "female");
+  toggle("heatmapMen", state.heatmapGender === "male");
+  toggle("heatmapDeciles", state.heatmapMode === "deciles");
+  toggle("heatmapBands", state.heatmapMode === "bands");
+  document.querySelectorAll("#nationsTopN [data-n]").forEach(b =>
+    b.classList.toggle("active", Number(b.dataset.n) === state.nationsTopN));
+  const topNEl = document.getElementById("topN");
+  if (topNEl) topNEl.value = String(state.topN);
+  const nLabel = document.getElementById("nLabel");
+  if (nLabel) nLabel.textContent = String(state.topN);
+  const aucRankInput = document.getElementById("aucRankInput");
+  if (aucRankInput) aucRankInput.value = String(state.aucRank);
+  const aucChip = document.getElementById("trendsRciAuc");
+  if (aucChip) aucChip.textContent = `AUC${state.aucRank}`;
+}
+
+// ---- Embed ----
+// /embed/ renders one view without header or picker, for an iframe on another site:
+// view=trends (race=<base race id>), view=rci (the selection, with the same params as a
+// deep link) or view=card (edition=<id>, or the latest edition of race=). theme=dark
+// recolours it and lang=fr|en overrides the browser language. The page posts its
+// height to the parent window whenever it changes.
+const EMBED_VIEWS = { trends: "trends", rci: "rcinormcharts", card: "card" };
+const EMBED_HEIGHT_MESSAGE = "trail-density:height";
+
+function embedEditionId(params) {
+  const id = params.get("edition");
+  if (id && courseMetaCache.has(id)) return id;
+  const race = params.get("race");
+  const editions = getManifestEntries().map(c => getCourseMeta(c.race_id)).filter(m => m?.base_race_id === race);
+  editions.sort((a, b) => (b.year || 0) - (a.year || 0));
+  return editions[0]?.race_id || null;
+}
+
+function isDarkEmbed() {
+  return state.appMode === "embed" && document.documentElement.dataset.theme === "dark";
+}
+
+function applyEmbedPlotTheme(plotId) {
+  if (!isDarkEmbed()) return;
+  Plotly.relayout(plotId, { "font.color": "#cbd5e1", "xaxis.gridcolor": "#334155", "yaxis.gridcolor": "#334155" });
+}
+
+// Link back to the same view on the full site, reusing the deep-link params.
+function embedFullUrl(params) {
+  const full = new URLSearchParams(params);
+  for (const key of ["view", "theme", "lang", "edition"]) full.delete(key);
+  const tab = state.activeTab === "card" ? "trends" : state.activeTab;
+  if (tab !== DEFAULT_TAB_BY_MODE.public) full.set("tab", tab);
+  if (state.activeTab === "card") full.set("race", getCourseMeta(state.embedEditionId)?.base_race_id || "");
+  const query = full.toString().replace(/%2C/g, ",");
+  return `${state.assetPrefix}${query ? `?${query}` : ""}`;
+}
+
+async function renderEmbedCard() {
+  const el = document.getElementById("embedCard");
+  if (!el) return;
+  const id = state.embedEditionId;
+  const meta = id ? getCourseMeta(id) : null;
+  if (!meta) {
+    el.innerHTML = `<div class="note">${t("embedNotFound")}</div>`;
+    return;
+  }
+  const summary = (await loadRciSummaries([id])).get(id);
+  const details = [meta.country, meta.distance_km ? `${meta.distance_km} km` : null, seriesOf(meta).join(", ") || null,
+    SCORE_TYPE_LABELS[meta.score_type] || null].filter(Boolean).join(" · ");
+  const row = (label, s) => `<tr>
+      <td class="col-left" style="font-weight:600;">${label}</td>
+      <td class="col-num">${s ? s.finishers : "-"}</td>
+      ${["rc5", "rc10", "rc20"].map(k => `<td class="col-num">${fmt(s?.[k], 2)}</td>`).join("")}
+      <td class="col-num">${fmt(s?.auc, 3)}</td>
+    </tr>`;
+  el.innerHTML = `
+    <div style="margin-bottom:10px;">
+      <div style="font-size:15px; font-weight:700;">${meta.name} · ${meta.year || ""}</div>
+      <div style="font-size:12px; color:var(--muted);">${details}</div>
+    </div>
+    <div class="tableWrap"><table>
+      <thead><tr>
+        <th class="col-left"></th><th>${t("embedFinishers")}</th><th>RCI5</th><th>RCI10</th><th>RCI20</th><th>AUC${state.aucRank}</th>
+      </tr></thead>
+      <tbody>${row(t("trendsGenderWomen"), summary?.female)}${row(t("trendsGenderMen"), summary?.male)}</tbody>
+    </table></div>`;
+}
+
+function watchEmbedHeight() {
+  if (window.parent === window || typeof ResizeObserver === "undefined") return;
+  let lastHeight = 0;
+  const post = () => {
+    const height = Math.ceil(document.documentElement.scrollHeight);
+    if (height === lastHeight) return;
+    lastHeight = height;
+    window.parent.postMessage({ type: EMBED_HEIGHT_MESSAGE, height, view: state.activeTab }, "*");
+  };
+  new ResizeObserver(post).observe(document.body);
+  post();
+}
+
+// ---- Race report ----
+// /report/?edition=<id>: one printable page per edition, for organizers. RCIs use the
+// current formula and female normalization; the ranking compares the edition with every
+// edition of the same score type. Depth and top 20 show raw indexes, as in Depth.
+const REPORT_MAX_N = 50;
+const REPORT_TOP = 20;
+const REPORT_COLORS = { female: "rgb(75,131,88)", male: "rgb(198,93,38)" };
+
+function reportPlotLayout(extra) {
+  return {
+    paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)",
+    margin: { l: 50, r: 16, t: 10, b: 40 },
+    font: { family: "Archivo, sans-serif", size: 11 },
+    legend: { orientation: "h", y: 1.12, font: { size: 11 } },
+    ...extra
+  };
+}
+
+function reportGenderLabel(sex) {
+  return t(sex === "female" ? "trendsGenderWomen" : "trendsGenderMen");
+}
+
+function rankAmong(summaries, ids, id, sex, key) {
+  const own = summaries.get(id)?.[sex]?.[key];
+  if (!Number.isFinite(own)) return null;
+  const values = ids.map(other => summaries.get(other)?.[sex]?.[key]).filter(Number.isFinite);
+  return { rank: values.filter(v => v > own).length + 1, of: values.length };
+}
+
+async function renderReport() {
+  const body = document.getElementById("reportBody");
+  if (!body) return;
+  const id = state.reportEditionId;
+  const found = id ? getCourseMeta(id) : null;
+  // A projected edition lists registrants, not finishers: no report for it.
+  const meta = found?.projected ? null : found;
+  const emptyEl = document.getElementById("reportEmpty");
+  const showMessage = message => {
+    if (emptyEl) {
+      emptyEl.textContent = message;
+      emptyEl.style.display = message ? "" : "none";
+    }
+    body.style.display = message ? "none" : "";
+  };
+  if (!meta) { showMessage(t("reportNotFound")); return; }
+  showMessage("");
+  document.title = `${meta.name} ${meta.year || ""} — Trail Density`;
+  try {
+    await drawReport(id, meta);
+  } catch (err) {
+    console.warn("[report]", err);
+    showMessage(`${t("reportError")} ${err.message}`);
+  }
+}
+
+async function drawReport(id, meta) {
+  const course = await loadCourse(id);
+  const scoreType = meta.score_type || DEFAULT_SCORE_TYPE;
+  const peerIds = getManifestEntries().map(c => c.race_id)
+    .filter(other => (getCourseMeta(other)?.score_type || DEFAULT_SCORE_TYPE) === scoreType);
+  const trendIds = getManifestEntries().map(c => c.race_id)
+    .filter(other => getCourseMeta(other)?.base_race_id === meta.base_race_id)
+    .sort((a, b) => (getCourseMeta(a)?.year || 0) - (getCourseMeta(b)?.year || 0));
+  const summaries = await loadRciSummaries([...new Set([id, ...peerIds, ...trendIds])]);
+  const summary = summaries.get(id) || { female: emptyRciSummary(), male: emptyRciSummary() };
+  const sexes = ["female", "male"].filter(sex => summary[sex].finishers > 0);
+
+  // Header and metadata
+  const headerEl = document.getElementById("reportHeader");
+  if (headerEl) headerEl.innerHTML = `
+    <h1 style="margin:0; font-size:22px;">${meta.name}${meta.year ? ` · ${meta.year}` : ""}</h1>
+    <div class="note">${[meta.country, seriesOf(meta).join(", ")].filter(Boolean).join(" · ")}</div>`;
+  const card = (label, value) => `<div class="metaCard"><div class="k">${label}</div><div class="v">${value ?? "-"}</div></div>`;
+  const metaEl = document.getElementById("reportMeta");
+  if (metaEl) metaEl.innerHTML = [
+    card(t("reportEdition"), id),
+    card(t("reportDistance"), meta.distance_km ? `${meta.distance_km} km` : "-"),
+    card(t("reportElevation"), meta.elevation_gain ? `${meta.elevation_gain} m` : "-"),
+    card(t("reportScoreType"), SCORE_TYPE_LABELS[scoreType]),
+    ...["female", "male"].map(sex => card(`${t("reportFinishers")} ${reportGenderLabel(sex)}`, summary[sex].finishers))
+  ].join("");
+
+  // RCI at the standard levels, with the edition's rank among its peers
+  const rankKeys = [...RCI_SUMMARY_LEVELS.map(n => `rc${n}`), "auc"];
+  const rankLabel = r => r ? t("reportRankOf").replace("{rank}", r.rank).replace("{of}", r.of) : "-";
+  const rciTableEl = document.getElementById("reportRciTable");
+  if (rciTableEl) rciTableEl.innerHTML = `<table>
+    <thead><tr>
+      <th class="col-left"></th>
+      ${sexes.map(sex => `<th>${reportGenderLabel(sex)}</th><th title="${t("reportRanking").replace("{of}", peerIds.length).replace("{type}", SCORE_TYPE_LABELS[scoreType])}">${t("reportRank")}</th>`).join("")}
+    </tr></thead>
+    <tbody>${rankKeys.map(key => `<tr>
+      <td class="col-left" style="font-weight:600;" title="${key === "auc" ? "" : describeRciFormula(Number(key.slice(2)))}">${key === "auc" ? `AUC${state.aucRank}` : key.replace("rc", "RCI")}</td>
+      ${sexes.map(sex => `<td class="col-num">${fmt(summary[sex][key], key === "auc" ? 3 : 2)}</td><td class="col-num">${rankLabel(rankAmong(summaries, peerIds, id, sex, key))}</td>`).join("")}
+    </tr>`).join("")}
+    <tr><td class="col-left" style="font-weight:600;">Gini</td>${sexes.map(sex => `<td class="col-num">${fmt(summary[sex].gini, 3)}</td><td></td>`).join("")}</tr>
+    </tbody>
+  </table>`;
+
+  const levels = Array.from({ length: REPORT_MAX_N - 1 }, (_, i) => i + 2);
+  Plotly.react("reportRciPlot", sexes.map(sex => {
+    const field = getRciResultsForMode(course.results, sex, true);
+    return {
+      x: levels, y: levels.map(n => rciFromResults(field, n, false, state.rciFormula)),
+      name: reportGenderLabel(sex), mode: "lines", line: { color: REPORT_COLORS[sex], width: 2.5 }
+    };
+  }), reportPlotLayout({
+    xaxis: { title: "N", gridcolor: "#e9e3d9", fixedrange: true },
+    yaxis: { title: "RCI", gridcolor: "#e9e3d9", fixedrange: true }
+  }), { displayModeBar: false, responsive: true });
+
+  // Depth curve: index by gender rank
+  const ordered = [...course.results].sort((a, b) => a.rank - b.rank);
+  const byGender = Object.fromEntries(sexes.map(sex => [sex, filterResultsByGender(ordered, sex)]));
+  Plotly.react("reportDepthPlot", sexes.map(sex => {
+    const top = byGender[sex].slice(0, REPORT_MAX_N);
+    return {
+      x: top.map((_, i) => i + 1), y: top.map(r => r.index), text: top.map(r => r.runner || ""),
+      name: reportGenderLabel(sex), mode: "lines", line: { color: REPORT_COLORS[sex], width: 2.5 },
+      hovertemplate: "%{x} · %{text}<br>%{y:.0f}<extra></extra>"
+    };
+  }), reportPlotLayout({
+    xaxis: { title: t("runnerColGenderRank"), gridcolor: "#e9e3d9", fixedrange: true },
+    yaxis: { title: t("runnerColIndex"), gridcolor: "#e9e3d9", fixedrange: true }
+  }), { displayModeBar: false, responsive: true });
+
+  // Nationalities of the overall top 20
+  const comp = nationalityComposition(course, "both", REPORT_TOP);
+  const nationsEl = document.getElementById("reportNations");
+  if (nationsEl) {
+    const rows = [...comp.counts.entries()].sort((a, b) => b[1] - a[1]);
+    nationsEl.innerHTML = `
+      <h2>${t("reportNations").replace("{n}", REPORT_TOP)}</h2>
+      <table>
+        <thead><tr><th class="col-left">${t("nationsCountry")}</th><th>n</th><th>%</th></tr></thead>
+        <tbody>${rows.map(([key, count]) => `<tr${key && key === comp.home ? ' style="font-weight:700;"' : ""}>
+          <td class="col-left">${key ? escapeHtml(countryName(key)) : "-"}</td>
+          <td class="col-num">${count}</td>
+          <td class="col-num">${fmt(count / comp.size * 100, 0)}</td>
+        </tr>`).join("")}</tbody>
+      </table>
+      ${Number.isFinite(comp.local) ? `<div class="note" style="margin-top:6px;">${t("nationsLocalShare")} : ${fmt(comp.local * 100, 0)} %</div>` : ""}`;
+  }
+
+  // Top 20 per gender
+  const topEl = document.getElementById("reportTop");
+  if (topEl) topEl.innerHTML = sexes.map(sex => `
+    <div class="report-block">
+      <h2>${t("reportTop").replace("{n}", REPORT_TOP)} · ${reportGenderLabel(sex)}</h2>
+      <table>
+        <thead><tr>
+          <th class="col-center">#</th><th class="col-left">${t("compareRunner")}</th><th class="col-left">${t("nationsCountry")}</th>
+          <th>${t("runnerColRank")}</th><th>${t("runnerColIndex")}</th>
+        </tr></thead>
+        <tbody>${byGender[sex].slice(0, REPORT_TOP).map((r, i) => `<tr>
+          <td class="col-rank">${i + 1}</td><td class="col-left">${escapeHtml(r.runner || "-")}</td><td class="col-left">${escapeHtml(r.nationality || "-")}</td>
+          <td class="col-num">${r.rank}</td><td class="col-num">${fmt(r.index, 0)}</td>
+        </tr>`).join("")}</tbody>
+      </table>
+    </div>`).join("");
+
+  // Trend against the other editions of the race
+  const trend = trendIds.filter(other => summaries.has(other)).map(other => ({ id: other, year: getCourseMeta(other)?.year, ...summaries.get(other) }));
+  Plotly.react("reportTrendPlot", sexes.map(sex => ({
+    x: trend.map(d => d.year), y: trend.map(d => d[sex].rc10),
+    name: `RCI10 ${reportGenderLabel(sex)}`, mode: "lines+markers",
+    line: { color: REPORT_COLORS[sex], width: 2.5 },
+    marker: { size: trend.map(d => d.id === id ? 13 : 7), color: REPORT_COLORS[sex] }
+  })), reportPlotLayout({
+    xaxis: { tickmode: "linear", dtick: 1, gridcolor: "#e9e3d9", fixedrange: true },
+    yaxis: { title: "RCI10", gridcolor: "#e9e3d9", fixedrange: true }
+  }), { displayModeBar: false, responsive: true });
+  const trendTableEl = document.getElementById("reportTrendTable");
+  if (trendTableEl) trendTableEl.innerHTML = `<table>
+    <thead><tr><th class="col-left">${t("yearCol")}</th>${sexes.map(sex => `<th>RCI5 ${reportGenderLabel(sex)}</th><th>RCI10 ${reportGenderLabel(sex)}</th><th>${t("reportFinishers")}</th>`).join("")}</tr></thead>
+    <tbody>${trend.map(d => `<tr${d.id === id ? ' style="font-weight:700;"' : ""}>
+      <td class="col-left">${d.year}</td>
+      ${sexes.map(sex => `<td class="col-num">${fmt(d[sex].rc5, 2)}</td><td class="col-num">${fmt(d[sex].rc10, 2)}</td><td class="col-num">${d[sex].finishers}</td>`).join("")}
+    </tr>`).join("")}</tbody>
+  </table>`;
+
+  const footerEl = document.getElementById("reportFooter");
+  if (footerEl) {
+    const norm = sexes.includes("female") ? ` · ${activeNormalizations[scoreType].id}` : "";
+    footerEl.textContent = `${t("reportGenerated").replace("{date}", new Date().toISOString().slice(0, 10))} · ${describeRciFormula(10)}${norm}`;
+  }
 }
 
 // ---- Orchestrator ----
@@ -1737,11 +5203,12 @@ async function updateAll() {
   state.activeTab = DEFAULT_TAB_BY_MODE[state.appMode];
 
   await loadManifest();
-  await preloadAllCourseMeta();
+  await loadNormalizationModels();
 
   if (state.appMode === "public") {
     setSelectionByYear(state.rciNormSelected, 2025);
     wirePublicChipFilters();
+    applyViewParams(new URLSearchParams(window.location.search));
 
     document.getElementById("rciTabWomen")?.addEventListener("click", () => {
       state.publicRciGender = "female";
@@ -1759,7 +5226,7 @@ async function updateAll() {
     document.getElementById("rciToggleExtra")?.addEventListener("click", function () {
       state.publicRciShowExtra = !state.publicRciShowExtra;
       document.getElementById("publicRciTable")?.classList.toggle("show-extra", state.publicRciShowExtra);
-      this.textContent = state.publicRciShowExtra ? "− RCI3 & RCI20" : "+ RCI3 & RCI20";
+      this.textContent = t(state.publicRciShowExtra ? "rciToggleExtraHide" : "rciToggleExtra");
       this.classList.toggle("active", state.publicRciShowExtra);
     });
 
@@ -1781,6 +5248,7 @@ async function updateAll() {
 
     document.querySelectorAll("#parityNChips [data-n]").forEach(btn => {
       btn.addEventListener("click", () => {
+        if (!Number(btn.dataset.n)) return;
         state.parityN = Number(btn.dataset.n);
         document.querySelectorAll("#parityNChips [data-n]").forEach(b =>
           b.classList.toggle("active", Number(b.dataset.n) === state.parityN));
@@ -1799,10 +5267,90 @@ async function updateAll() {
     document.getElementById("chartsGenderMen")?.addEventListener("click", () => setChartsGender("male"));
     document.getElementById("chartsGenderWomen")?.addEventListener("click", () => setChartsGender("female"));
 
-    document.getElementById("exportRciNormFemaleCsv")?.addEventListener("click", () =>
-      exportRciCsv("female", { selectedSet: state.rciNormSelected, filters: state.rciNormFilters, sorts: state.rciNormSorts, normalizeFemale: true }));
-    document.getElementById("exportRciNormMaleCsv")?.addEventListener("click", () =>
-      exportRciCsv("male", { selectedSet: state.rciNormSelected, filters: state.rciNormFilters, sorts: state.rciNormSorts, normalizeFemale: true }));
+    const setLorenzGender = (gender) => {
+      state.lorenzGender = gender;
+      document.getElementById("lorenzGenderBoth")?.classList.toggle("active", gender === "both");
+      document.getElementById("lorenzGenderMen")?.classList.toggle("active", gender === "male");
+      document.getElementById("lorenzGenderWomen")?.classList.toggle("active", gender === "female");
+      updateLorenz();
+    };
+    document.getElementById("lorenzGenderBoth")?.addEventListener("click", () => setLorenzGender("both"));
+    document.getElementById("lorenzGenderMen")?.addEventListener("click", () => setLorenzGender("male"));
+    document.getElementById("lorenzGenderWomen")?.addEventListener("click", () => setLorenzGender("female"));
+
+    const setHeatmapOption = (gender, mode) => {
+      state.heatmapGender = gender;
+      state.heatmapMode = mode;
+      document.getElementById("heatmapWomen")?.classList.toggle("active", gender === "female");
+      document.getElementById("heatmapMen")?.classList.toggle("active", gender === "male");
+      document.getElementById("heatmapDeciles")?.classList.toggle("active", mode === "deciles");
+      document.getElementById("heatmapBands")?.classList.toggle("active", mode === "bands");
+      updateHeatmap();
+    };
+    document.getElementById("heatmapWomen")?.addEventListener("click", () => setHeatmapOption("female", state.heatmapMode));
+    document.getElementById("heatmapMen")?.addEventListener("click", () => setHeatmapOption("male", state.heatmapMode));
+    document.getElementById("heatmapDeciles")?.addEventListener("click", () => setHeatmapOption(state.heatmapGender, "deciles"));
+    document.getElementById("heatmapBands")?.addEventListener("click", () => setHeatmapOption(state.heatmapGender, "bands"));
+
+    const setNationsOption = (gender, topN) => {
+      state.nationsGender = gender;
+      state.nationsTopN = topN;
+      document.getElementById("nationsGenderBoth")?.classList.toggle("active", gender === "both");
+      document.getElementById("nationsGenderWomen")?.classList.toggle("active", gender === "female");
+      document.getElementById("nationsGenderMen")?.classList.toggle("active", gender === "male");
+      document.querySelectorAll("#nationsTopN [data-n]").forEach(btn => btn.classList.toggle("active", Number(btn.dataset.n) === topN));
+      updateNations();
+    };
+    document.getElementById("nationsGenderBoth")?.addEventListener("click", () => setNationsOption("both", state.nationsTopN));
+    document.getElementById("nationsGenderWomen")?.addEventListener("click", () => setNationsOption("female", state.nationsTopN));
+    document.getElementById("nationsGenderMen")?.addEventListener("click", () => setNationsOption("male", state.nationsTopN));
+    document.querySelectorAll("#nationsTopN [data-n]").forEach(btn =>
+      btn.addEventListener("click", () => setNationsOption(state.nationsGender, Number(btn.dataset.n))));
+
+    // Series leaderboard
+    document.getElementById("seriesGenderWomen")?.addEventListener("click", () => { state.seriesGender = "female"; renderSeries(); });
+    document.getElementById("seriesGenderMen")?.addEventListener("click", () => { state.seriesGender = "male"; renderSeries(); });
+    document.querySelectorAll("#seriesKeys [data-key]").forEach(btn =>
+      btn.addEventListener("click", () => { state.seriesKey = btn.dataset.key; renderSeries(); }));
+
+    // Head-to-head
+    ["compareA", "compareB"].forEach((elId, i) => document.getElementById(elId)?.addEventListener("change", e => {
+      state.compareIds[i] = e.target.value || null;
+      updateCompare();
+    }));
+    document.getElementById("compareSwap")?.addEventListener("click", () => {
+      state.compareIds = [state.compareIds[1], state.compareIds[0]];
+      updateCompare();
+    });
+    document.getElementById("compareGenderWomen")?.addEventListener("click", () => { state.compareGender = "female"; updateCompare(); });
+    document.getElementById("compareGenderMen")?.addEventListener("click", () => { state.compareGender = "male"; updateCompare(); });
+    document.querySelectorAll("#compareTestN [data-n]").forEach(btn =>
+      btn.addEventListener("click", () => { state.compareN = Number(btn.dataset.n); updateCompare(); }));
+
+    const exportCsv = gender =>
+      exportRciCsv(gender, { selectedSet: state.rciNormSelected, filters: state.rciNormFilters, sorts: state.rciNormSorts, normalizeFemale: true })
+        .catch(err => alert(err.message));
+    document.getElementById("exportRciNormFemaleCsv")?.addEventListener("click", () => exportCsv("female"));
+    document.getElementById("exportRciNormMaleCsv")?.addEventListener("click", () => exportCsv("male"));
+    const resultsExport = document.getElementById("exportResultsFormat");
+    resultsExport?.addEventListener("change", () => {
+      const format = resultsExport.value;
+      resultsExport.value = "";
+      if (format) exportResults(format).catch(err => alert(err.message));
+    });
+
+    // UTMB Index → ITRA conversion, offered only when an admin activated one
+    const conversionBtn = document.getElementById("scoreConversionToggle");
+    if (conversionBtn) {
+      conversionBtn.hidden = !Object.keys(activeConversions).length;
+      conversionBtn.addEventListener("click", () => {
+        state.scoreConversion = !state.scoreConversion;
+        conversionBtn.classList.toggle("active", state.scoreConversion);
+        renderPublicRciTable();
+        if (state.activeTab === "visualization") updateVisualization();
+        if (state.trendsRaceId) renderTrendsChart();
+      });
+    }
 
     const elTopN = document.getElementById("topN");
     if (elTopN) {
@@ -1815,6 +5363,13 @@ async function updateAll() {
       });
     }
 
+    // Chart export — image (PNG/SVG) or the plotted rows (CSV/JSON)
+    document.querySelectorAll("[data-export]").forEach(btn => btn.addEventListener("click", () => {
+      const { export: plotId, format } = btn.dataset;
+      const run = format === "png" || format === "svg" ? exportChartImage(plotId, format) : Promise.resolve().then(() => exportChartData(plotId, format));
+      run.catch(err => alert(err.message));
+    }));
+
     // Filter picker modal
     document.getElementById("openPickerBtn")?.addEventListener("click", openPicker);
     document.getElementById("openPickerBtnEmpty")?.addEventListener("click", openPicker);
@@ -1830,6 +5385,13 @@ async function updateAll() {
     });
     document.getElementById("resetPickerBtn")?.addEventListener("click", () => _publicFilterReset());
 
+    // Runners tab — searches hit the server on Supabase, so wait for typing to pause
+    let runnerSearchTimer = null;
+    document.getElementById("runnerSearch")?.addEventListener("input", () => {
+      clearTimeout(runnerSearchTimer);
+      runnerSearchTimer = setTimeout(renderRunnerList, 250);
+    });
+
     // Trends tab
     document.getElementById("trendsRaceSearch")?.addEventListener("input", renderTrendsRaceList);
     const setTrendsGender = g => {
@@ -1842,18 +5404,54 @@ async function updateAll() {
     document.getElementById("trendsGenderBoth")?.addEventListener("click", () => setTrendsGender("both"));
     document.getElementById("trendsGenderWomen")?.addEventListener("click", () => setTrendsGender("female"));
     document.getElementById("trendsGenderMen")?.addEventListener("click", () => setTrendsGender("male"));
-    document.getElementById("trendsRciRci5")?.addEventListener("click", () => {
-      state.trendsRciKey = "rc5";
-      document.getElementById("trendsRciRci5")?.classList.add("active");
-      document.getElementById("trendsRciRci10")?.classList.remove("active");
+    const setTrendsMetric = key => {
+      state.trendsRciKey = key;
       renderTrendsChart();
+    };
+    document.getElementById("trendsRciRci5")?.addEventListener("click", () => setTrendsMetric("rc5"));
+    document.getElementById("trendsRciRci10")?.addEventListener("click", () => setTrendsMetric("rc10"));
+    document.getElementById("trendsRciAuc")?.addEventListener("click", () => setTrendsMetric("auc"));
+    document.getElementById("trendsRciCustom")?.addEventListener("click", () => {
+      if (state.rciFormula.n) setTrendsMetric(`rc${state.rciFormula.n}`);
     });
-    document.getElementById("trendsRciRci10")?.addEventListener("click", () => {
-      state.trendsRciKey = "rc10";
-      document.getElementById("trendsRciRci10")?.classList.add("active");
-      document.getElementById("trendsRciRci5")?.classList.remove("active");
-      renderTrendsChart();
+
+    // Bootstrap intervals — one switch shared by the table, Trends and Parity
+    for (const id of ["rciCiToggle", "trendsCiToggle", "parityCiToggle"]) {
+      document.getElementById(id)?.addEventListener("click", () => {
+        state.rciCi = !state.rciCi;
+        for (const other of ["rciCiToggle", "trendsCiToggle", "parityCiToggle"]) {
+          document.getElementById(other)?.classList.toggle("active", state.rciCi);
+        }
+        renderPublicRciTable();
+        if (state.activeTab === "visualization") updateVisualization();
+        if (state.trendsRaceId) renderTrendsChart();
+      });
+    }
+
+    // RCI formula panel
+    document.getElementById("rciFormulaToggle")?.addEventListener("click", () => {
+      const panel = document.getElementById("rciFormulaPanel");
+      if (panel) panel.hidden = !panel.hidden;
     });
+    for (const id of ["rciFormulaN", "rciFormulaK", "rciFormulaTrim", "rciFormulaCenter"]) {
+      document.getElementById(id)?.addEventListener("change", () => setRciFormula(readRciFormulaInputs()));
+    }
+    document.getElementById("rciFormulaReset")?.addEventListener("click", () => setRciFormula(DEFAULT_RCI_FORMULA));
+    syncRciFormulaInputs();
+
+    const aucRankInput = document.getElementById("aucRankInput");
+    if (aucRankInput) {
+      aucRankInput.value = String(state.aucRank);
+      aucRankInput.addEventListener("change", () => {
+        const n = Math.round(Number(aucRankInput.value));
+        state.aucRank = Number.isFinite(n) && n >= 1 ? n : AUC_DEFAULT_RANK;
+        aucRankInput.value = String(state.aucRank);
+        const aucChip = document.getElementById("trendsRciAuc");
+        if (aucChip) aucChip.textContent = `AUC${state.aucRank}`;
+        renderPublicRciTable();
+        if (state.trendsRaceId) renderTrendsChart();
+      });
+    }
     renderTrendsRaceList();
   }
 
@@ -1875,11 +5473,195 @@ async function updateAll() {
 
     // Import queue
     document.getElementById("startQueueBtn")?.addEventListener("click", startQueue);
+
+    // Start list → projected edition
+    const startListOptions = document.getElementById("startRaceOptions");
+    if (startListOptions) {
+      const races = new Map([...courseMetaCache.values()].map(m => [m.base_race_id, m.name]));
+      startListOptions.innerHTML = [...races.entries()].sort().map(([id, name]) => `<option value="${id}">${name}</option>`).join("");
+    }
+    document.getElementById("startRaceId")?.addEventListener("change", e => {
+      const nameEl = document.getElementById("startRaceName");
+      const meta = [...courseMetaCache.values()].find(m => m.base_race_id === e.target.value.trim());
+      if (nameEl && meta && !nameEl.value) nameEl.value = meta.name;
+    });
+    const loadStartList = async parse => {
+      try {
+        state.startList = await parse();
+        setStartListStatus("");
+      } catch (err) {
+        state.startList = null;
+        setStartListStatus(err.message, "error");
+      }
+      renderStartListPreview();
+    };
+    document.getElementById("startFetchBtn")?.addEventListener("click", () =>
+      loadStartList(() => fetchItraRegistrants((document.getElementById("startUrl")?.value || "").trim())));
+    document.getElementById("startParseBtn")?.addEventListener("click", () =>
+      loadStartList(() => parseStartListText(document.getElementById("startPaste")?.value)));
+    document.getElementById("startScoreType")?.addEventListener("change", renderStartListPreview);
+    document.getElementById("startSaveBtn")?.addEventListener("click", async () => {
+      try {
+        const job = readStartListJob();
+        setStartListStatus("Saving…");
+        const { editionId, count } = await saveProjectedEdition(job, state.startList.entries);
+        setStartListStatus(`Saved ${editionId} — ${count} registrants. Shown in Trends next to the actual editions.`, "ok");
+        manifest = null;
+        courseCache.clear();
+        courseMetaCache.clear();
+        rciSummaryCache.clear();
+        rciIntervalCache.clear();
+        await loadManifest();
+      } catch (err) {
+        setStartListStatus(err.message, "error");
+      }
+    });
+
+    // Manual import: paste or drop a CSV/XLSX file, check the preview, save
+    const manualOptions = document.getElementById("manualRaceOptions");
+    if (manualOptions && startListOptions) manualOptions.innerHTML = startListOptions.innerHTML;
+    document.getElementById("manualRaceId")?.addEventListener("change", e => prefillManualImport(e.target.value.trim()));
+    const loadManualImport = async read => {
+      try {
+        state.manualImport = parseManualResults(await read());
+        setManualImportStatus("");
+        await diffManualImport();
+      } catch (err) {
+        state.manualImport = null;
+        setManualImportStatus(err.message, "error");
+      }
+      renderManualImportPreview();
+    };
+    const manualPaste = document.getElementById("manualPaste");
+    const loadManualFile = file => {
+      if (!file) return;
+      loadManualImport(async () => {
+        const text = await readResultsFile(file);
+        if (manualPaste) manualPaste.value = text;
+        return text;
+      });
+    };
+    document.getElementById("manualParseBtn")?.addEventListener("click", () => loadManualImport(() => manualPaste?.value));
+    document.getElementById("manualFile")?.addEventListener("change", e => loadManualFile(e.target.files[0]));
+    manualPaste?.addEventListener("dragover", e => e.preventDefault());
+    manualPaste?.addEventListener("drop", e => {
+      if (!e.dataTransfer?.files?.length) return;
+      e.preventDefault();
+      loadManualFile(e.dataTransfer.files[0]);
+    });
+    document.getElementById("manualScoreType")?.addEventListener("change", () => diffManualImport().catch(err => setManualImportStatus(err.message, "error")));
+    ["manualRaceId", "manualYear"].forEach(id => document.getElementById(id)?.addEventListener("change", () => {
+      if (state.manualImport) diffManualImport().catch(err => setManualImportStatus(err.message, "error"));
+    }));
+    document.getElementById("manualSaveBtn")?.addEventListener("click", async () => {
+      try {
+        const job = readManualImportJob();
+        if (state.manualImport.editionId !== job.editionId) await diffManualImport();
+        if (!confirmImportDiff(state.manualImport.diff, job.editionId)) return;
+        setManualImportStatus("Saving…");
+        const { count, fuzzy } = await saveEditionToSupabase(job, state.manualImport.results);
+        setManualImportStatus(`Saved ${job.editionId} — ${count} results${fuzzy ? ` · ${fuzzy} runner matches to review` : ""}.`, "ok");
+        state.manualImport = null;
+        renderManualImportPreview();
+        await reloadImportedData();
+      } catch (err) {
+        setManualImportStatus(err.message, "error");
+      }
+    });
+
     document.getElementById("clearDoneBtn")?.addEventListener("click", () => {
-      state.importQueue = state.importQueue.filter(j => j.status !== "done");
+      state.importQueue = state.importQueue.filter(j => j.status !== "done" && j.status !== "skipped");
       renderQueue();
     });
 
+    // Local results cache
+    document.getElementById("clearCacheBtn")?.addEventListener("click", async () => {
+      const statusEl = document.getElementById("cacheStatus");
+      try {
+        await clearPersistentCache();
+        courseCache.clear();
+        rciSummaryCache.clear();
+        rciIntervalCache.clear();
+        if (statusEl) statusEl.textContent = "Local cache cleared ✓";
+      } catch (err) {
+        if (statusEl) statusEl.textContent = "Error: " + err.message;
+      }
+    });
+
+    document.getElementById("recomputeMetricsBtn")?.addEventListener("click", recomputeAllMetrics);
+
+    // Runner identities
+    document.getElementById("linkRunnersBtn")?.addEventListener("click", () => linkUnmatchedResults().catch(err => alert(err.message)));
+    document.getElementById("refreshMatchesBtn")?.addEventListener("click", () => renderRunnerMatches());
+
+    // Female normalization model (per score type) and UTMB → ITRA conversion
+    const normSelect = document.getElementById("normModelSelect");
+    const normTypeSelect = document.getElementById("normScoreType");
+    const normStatus = document.getElementById("normStatus");
+    const setNormStatus = text => { if (normStatus) normStatus.textContent = text; };
+    const fittedModels = Object.fromEntries(SCORE_TYPES.map(t =>
+      [t, activeNormalizations[t].kind === "quantile" ? activeNormalizations[t] : null]));
+    let fittedConversion = activeConversions.utmb || null;
+    const normType = () => normalizeScoreType(normTypeSelect?.value) || DEFAULT_SCORE_TYPE;
+    const selectedModel = () => {
+      const type = normType();
+      return { builtin: BUILTIN_NORMALIZATIONS[type], none: NO_NORMALIZATIONS[type], fitted: fittedModels[type] }[normSelect?.value];
+    };
+    const syncNormSelect = () => {
+      const active = activeNormalizations[normType()];
+      if (normSelect) normSelect.value = active.kind === "quantile" ? "fitted" : active.kind;
+      renderNormalizationPreview(active);
+    };
+    const progress = (i, total) => setNormStatus(`Reading ${i} / ${total}…`);
+    if (normSelect) {
+      syncNormSelect();
+      normTypeSelect?.addEventListener("change", syncNormSelect);
+      normSelect.addEventListener("change", () => {
+        const model = selectedModel();
+        if (model) renderNormalizationPreview(model);
+        else setNormStatus("Fit a curve first.");
+      });
+    }
+    document.getElementById("fitNormBtn")?.addEventListener("click", async () => {
+      try {
+        const type = normType();
+        fittedModels[type] = await fitNormalizationFromData(type, progress);
+        if (normSelect) normSelect.value = "fitted";
+        renderNormalizationPreview(fittedModels[type]);
+        setNormStatus("Fitted — activate to use it.");
+      } catch (err) {
+        setNormStatus("Error: " + err.message);
+      }
+    });
+    document.getElementById("activateNormBtn")?.addEventListener("click", async () => {
+      const model = selectedModel();
+      if (!model) { setNormStatus("Fit a curve first."); return; }
+      try {
+        await saveNormalizationModel(model);
+        setNormStatus(`Active: ${model.id} — run "Recompute metrics".`);
+      } catch (err) {
+        setNormStatus("Error: " + err.message);
+      }
+    });
+    document.getElementById("fitConversionBtn")?.addEventListener("click", async () => {
+      try {
+        fittedConversion = await fitScoreConversionFromData(progress);
+        renderNormalizationPreview(fittedConversion);
+        setNormStatus("Conversion fitted — activate to offer it on the public site.");
+      } catch (err) {
+        setNormStatus("Error: " + err.message);
+      }
+    });
+    document.getElementById("activateConversionBtn")?.addEventListener("click", async () => {
+      if (!fittedConversion) { setNormStatus("Fit a conversion first."); return; }
+      try {
+        await saveNormalizationModel(fittedConversion);
+        setNormStatus(`Active conversion: ${fittedConversion.id}.`);
+      } catch (err) {
+        setNormStatus("Error: " + err.message);
+      }
+    });
+
     // Races tab search
     const raceSearch = document.getElementById("searchRace");
     raceSearch?.addEventListener("input", () => renderAdminRaceList(raceSearch.value));
@@ -1894,13 +5676,49 @@ async function updateAll() {
     renderAdminRaceList("");
   }
 
+  if (state.appMode === "embed") {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("lang") === "fr" || params.get("lang") === "en") lang = params.get("lang");
+    document.documentElement.dataset.theme = params.get("theme") === "dark" ? "dark" : "light";
+    // Selection chips have no buttons here, but applyChipSelection still turns years and
+    // series into edition ids.
+    wirePublicChipFilters();
+    applyViewParams(params);
+    state.activeTab = getSafeTab("embed", EMBED_VIEWS[params.get("view")]);
+    state.embedEditionId = embedEditionId(params);
+    const openEl = document.getElementById("embedOpen");
+    if (openEl) openEl.href = embedFullUrl(params);
+    watchEmbedHeight();
+  }
+
+  if (state.appMode === "report") {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("lang") === "fr" || params.get("lang") === "en") lang = params.get("lang");
+    state.reportEditionId = params.get("edition");
+    document.getElementById("reportPrintBtn")?.addEventListener("click", () => window.print());
+    // Plots are sized for the screen; refit them to the printed page width.
+    window.addEventListener("beforeprint", () => {
+      ["reportRciPlot", "reportDepthPlot", "reportTrendPlot"].forEach(plotId => {
+        const el = document.getElementById(plotId);
+        if (el && el.children.length) Plotly.Plots.resize(el);
+      });
+    });
+  }
+
   // Shared nav tabs
   document.getElementById("tabRciNorm")?.addEventListener("click", () => setActiveTab("rcinormcharts"));
   document.getElementById("tabTrends")?.addEventListener("click", () => setActiveTab("trends"));
   document.getElementById("vizTabParity")?.addEventListener("click", () => setActiveTab("visualization"));
   document.getElementById("tabCharts")?.addEventListener("click", () => setActiveTab("charts"));
+  document.getElementById("tabLorenz")?.addEventListener("click", () => setActiveTab("lorenz"));
+  document.getElementById("tabHeatmap")?.addEventListener("click", () => setActiveTab("heatmap"));
+  document.getElementById("tabSeries")?.addEventListener("click", () => setActiveTab("series"));
+  document.getElementById("tabNations")?.addEventListener("click", () => setActiveTab("nations"));
+  document.getElementById("tabCompare")?.addEventListener("click", () => setActiveTab("compare"));
+  document.getElementById("tabRunners")?.addEventListener("click", () => setActiveTab("runners"));
   document.getElementById("tabImport")?.addEventListener("click", () => setActiveTab("import"));
   document.getElementById("tabRaces")?.addEventListener("click", () => setActiveTab("races"));
+  document.getElementById("tabIdentities")?.addEventListener("click", () => setActiveTab("identities"));
 
   // Lang toggle
   document.getElementById("langToggle")?.addEventListener("click", () => setLang(lang === "fr" ? "en" : "fr"));
@@ -1908,6 +5726,25 @@ async function updateAll() {
   // Init Plotly placeholders
   if (document.getElementById("plot")) {
     Plotly.newPlot("plot", [], { paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)" }, { responsive: true, displayModeBar: false });
+    // Clicking a point of a depth curve opens that finisher's profile.
+    document.getElementById("plot").on?.("plotly_click", e => {
+      const runner = e.points?.[0]?.customdata;
+      if (runner) openRunnerProfile(runner);
+    });
+  }
+  if (document.getElementById("seriesPlot")) {
+    Plotly.newPlot("seriesPlot", [], { paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)" }, { responsive: true, displayModeBar: false });
+  }
+  if (document.getElementById("nationsPlot")) {
+    Plotly.newPlot("nationsPlot", [], { paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)" }, { responsive: true, displayModeBar: false });
+  }
+  for (const id of ["comparePlot", "compareDiffPlot"]) {
+    if (document.getElementById(id)) {
+      Plotly.newPlot(id, [], { paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)" }, { responsive: true, displayModeBar: false });
+    }
+  }
+  if (document.getElementById("runnerPlot")) {
+    Plotly.newPlot("runnerPlot", [], { paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)" }, { responsive: true, displayModeBar: false });
   }
   if (document.getElementById("vizParityPlot")) {
     Plotly.newPlot("vizParityPlot", [], { paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)" }, { responsive: true, displayModeBar: false });
@@ -1915,18 +5752,43 @@ async function updateAll() {
   if (document.getElementById("trendsPlot")) {
     Plotly.newPlot("trendsPlot", [], { paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)" }, { responsive: true, displayModeBar: false });
   }
+  if (document.getElementById("lorenzPlot")) {
+    Plotly.newPlot("lorenzPlot", [], { paper_bgcolor: "rgba(0,0,0,0)", plot_bgcolor: "rgba(0,0,0,0)" }, { responsive: true, displayModeBar: false });
+  }
 
   applyLang();
   setActiveTab(state.activeTab);
   await updateAll();
 
+  // ?runner=NAME opens a runner profile (linked from the admin race detail); applyViewParams
+  // has already validated it into state.runnerName.
+  const runnerParam = state.runnerName;
+  if (state.appMode === "public" && runnerParam) {
+    openRunnerProfile(runnerParam);
+    const searchEl = document.getElementById("runnerSearch");
+    if (searchEl) { searchEl.value = runnerParam; renderRunnerList(); }
+  }
+
+  if (state.appMode === "public") {
+    // Handlers set state synchronously, so by the time a click, change or input reaches
+    // the document the URL can be rewritten from it.
+    for (const type of ["click", "change", "input"]) document.addEventListener(type, () => writeViewUrl());
+    window.addEventListener("popstate", () => {
+      applyViewParams(new URLSearchParams(window.location.search));
+      renderTrendsRaceList();
+      setActiveTab(state.activeTab);
+      renderPublicRciTable();
+    });
+  }
+
   // Auto-open picker on landing when nothing is selected
-  if (state.appMode === "public" && state.rciNormSelected.size === 0) {
+  if (state.appMode === "public" && state.rciNormSelected.size === 0 && !runnerParam) {
     openPicker();
   }
 
   window.addEventListener("resize", () => {
-    ["trendsPlot", "vizParityPlot", "plot"].forEach(id => {
+    ["trendsPlot", "vizParityPlot", "plot", "lorenzPlot", "seriesPlot", "nationsPlot", "comparePlot", "compareDiffPlot", "runnerPlot",
+      "reportRciPlot", "reportDepthPlot", "reportTrendPlot"].forEach(id => {
       const el = document.getElementById(id);
       if (el && el.children.length) Plotly.Plots.resize(el);
     });
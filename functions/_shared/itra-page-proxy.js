@@ -0,0 +1,54 @@
+// Shared body of the itra.run page proxies (api/itra-proxy.js, api/itra-registrants.js).
+// Bypasses CORS: fetches the page server-side with the admin's ITRA cookie and returns
+// its HTML. Each endpoint only supplies the URL whitelist.
+//   isAllowedUrl(url) → boolean   checked before anything is fetched
+//   invalidUrlMessage             error returned when the check fails
+export async function proxyItraPage(context, { isAllowedUrl, invalidUrlMessage }) {
+  let body;
+  try {
+    body = await context.request.json();
+  } catch {
+    return Response.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  const { url, cookieHeader } = body;
+
+  if (!url || typeof url !== "string" || !isAllowedUrl(url)) {
+    return Response.json({ error: invalidUrlMessage }, { status: 400 });
+  }
+
+  if (!cookieHeader || typeof cookieHeader !== "string") {
+    return Response.json({ error: "cookieHeader is required" }, { status: 400 });
+  }
+
+  let itraResponse;
+  try {
+    itraResponse = await fetch(url, {
+      headers: {
+        Cookie: cookieHeader,
+        "User-Agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+        Accept: "text/html,application/xhtml+xml",
+        "Accept-Language": "en-US,en;q=0.9",
+      },
+      redirect: "follow",
+    });
+  } catch (err) {
+    return Response.json(
+      { error: "Network error reaching itra.run: " + (err?.message || String(err)) },
+      { status: 502 }
+    );
+  }
+
+  if (!itraResponse.ok) {
+    return Response.json(
+      { error: `itra.run returned HTTP ${itraResponse.status}` },
+      { status: 502 }
+    );
+  }
+
+  const html = await itraResponse.text();
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" },
+  });
+}
@@ -0,0 +1,11 @@
+// Cloudflare Pages Function — server-side proxy for itra.run registrant lists.
+// Same as itra-proxy.js, for start lists. Whitelists itra.run/Races/ pages whose
+// path names registrants only.
+import { proxyItraPage } from "../_shared/itra-page-proxy.js";
+
+export async function onRequestPost(context) {
+  return proxyItraPage(context, {
+    isAllowedUrl: url => url.startsWith("https://itra.run/Races/") && /registrant/i.test(new URL(url).pathname),
+    invalidUrlMessage: "Invalid URL — must be an https://itra.run/Races/ registrants page",
+  });
+}
@@ -24,9 +24,28 @@ CREATE TABLE IF NOT EXISTS public.editions (
   year              int         NOT NULL,
   date              date,
   series            text[],                       -- ["utmb-world-series", "gtws"]
+  score_type        text        NOT NULL DEFAULT 'itra' CHECK (score_type IN ('itra', 'utmb')),
+  mixed_scores      boolean     NOT NULL DEFAULT false, -- some results carry the other score_type
+  -- Start list rather than results: "ranks" order registrants by index, best first.
+  -- Lives next to the actual edition of the same year ("utmb-170-2025-projected").
+  projected         boolean     NOT NULL DEFAULT false,
   itra_edition_url  text,
   imported_at       timestamptz DEFAULT now(),
-  UNIQUE (race_id, year)
+  UNIQUE (race_id, year, projected)
+);
+
+-- ── runners ────────────────────────────────────────────────────────────────────
+-- One row per athlete. Result names are free text ("BOUILLARD Vincent", "Vincent
+-- Bouillard", "Bouillard Vincent"); the import links each result to a runner by
+-- name_key (runnerIdentityKey() in app.js: lowercased, accents stripped, name tokens
+-- sorted) and nationality, or by fuzzy match — see runner_candidates below.
+
+CREATE TABLE IF NOT EXISTS public.runners (
+  id             bigserial   PRIMARY KEY,
+  canonical_name text        NOT NULL,            -- display name, as first imported
+  name_key       text        NOT NULL,            -- "bouillard vincent"
+  nationality    text,
+  created_at     timestamptz DEFAULT now()
 );
 
 -- ── results ────────────────────────────────────────────────────────────────────
@@ -39,24 +58,112 @@ CREATE TABLE IF NOT EXISTS public.results (
   gender      text        CHECK (gender IN ('M', 'F')),
   index       numeric     NOT NULL,
   runner      text,
-  nationality text
+  nationality text,
+  score_type  text        CHECK (score_type IN ('itra', 'utmb')), -- NULL = the edition's score_type
+  runner_id   bigint      REFERENCES public.runners(id) ON DELETE SET NULL,
+  -- How runner_id was set: 'exact' (same name_key and nationality), 'new' (runner created
+  -- by this import), 'fuzzy' (closest candidate, waiting for an admin to confirm or split)
+  -- or 'confirmed' (checked by an admin; kept across re-imports).
+  runner_match       text CHECK (runner_match IN ('exact', 'new', 'fuzzy', 'confirmed')),
+  runner_match_score real                         -- name similarity for 'fuzzy', 0–1
 );
 
+-- Score types were added after the first deploy.
+ALTER TABLE public.editions ADD COLUMN IF NOT EXISTS score_type text NOT NULL DEFAULT 'itra' CHECK (score_type IN ('itra', 'utmb'));
+ALTER TABLE public.editions ADD COLUMN IF NOT EXISTS mixed_scores boolean NOT NULL DEFAULT false;
+ALTER TABLE public.results  ADD COLUMN IF NOT EXISTS score_type text CHECK (score_type IN ('itra', 'utmb'));
+
+-- Projected editions (start lists) share race and year with the actual edition.
+ALTER TABLE public.editions ADD COLUMN IF NOT EXISTS projected boolean NOT NULL DEFAULT false;
+ALTER TABLE public.editions DROP CONSTRAINT IF EXISTS editions_race_id_year_key;
+ALTER TABLE public.editions DROP CONSTRAINT IF EXISTS editions_race_id_year_projected_key;
+ALTER TABLE public.editions ADD CONSTRAINT editions_race_id_year_projected_key UNIQUE (race_id, year, projected);
+
+-- Runner identities were added later too; existing results stay unlinked until
+-- "Link unmatched results" is run in admin → Runners.
+ALTER TABLE public.results  ADD COLUMN IF NOT EXISTS runner_id bigint REFERENCES public.runners(id) ON DELETE SET NULL;
+ALTER TABLE public.results  ADD COLUMN IF NOT EXISTS runner_match text CHECK (runner_match IN ('exact', 'new', 'fuzzy', 'confirmed'));
+ALTER TABLE public.results  ADD COLUMN IF NOT EXISTS runner_match_score real;
+
+-- ── edition_metrics ────────────────────────────────────────────────────────────
+-- Precomputed field-strength numbers per edition × gender, written by the admin
+-- import (saveEditionMetrics in app.js) and rebuilt by "Recompute metrics".
+-- Index values are in the scale RCI is computed in: women's scores go through the
+-- normalization named in `normalization` (the active normalization_models id; for a
+-- mixed edition one id per score type, joined with "+"). No score conversion applied.
+
+CREATE TABLE IF NOT EXISTS public.edition_metrics (
+  edition_id    text        NOT NULL REFERENCES public.editions(id) ON DELETE CASCADE,
+  gender        text        NOT NULL CHECK (gender IN ('M', 'F')),
+  finishers     int         NOT NULL,
+  top_index     double precision,
+  rc3           double precision,
+  rc5           double precision,
+  rc10          double precision,
+  rc20          double precision,
+  idx3          double precision,                 -- index of the 3rd finisher of that gender
+  idx5          double precision,
+  idx10         double precision,
+  idx20         double precision,
+  gini          double precision,                 -- Gini of every finisher's index
+  auc50         double precision,                 -- area under rank→index up to rank 50, / (50 × 1000)
+  normalization text        NOT NULL,             -- "itra-f-quad-v1", "none-v1", mixed: "…+utmb-f-none-v1"
+  computed_at   timestamptz DEFAULT now(),
+  PRIMARY KEY (edition_id, gender)
+);
+
+-- ── normalization_models ───────────────────────────────────────────────────────
+-- Index mappings, per score type. role = 'female': women → men on the same scale;
+-- kind = 'builtin' (ITRA quadratic), 'quantile' (piecewise-linear knots [[f, m], …]
+-- fitted by quantile matching in admin) or 'none'. role = 'conversion': UTMB Index →
+-- ITRA, kind 'quantile' with knots per gender ({ "female": […], "male": […] }).
+-- At most one active row per (score_type, role); the public site reads them on boot.
+-- Ids are immutable: a new fit gets a new id so stored metrics and exports stay traceable.
+
+CREATE TABLE IF NOT EXISTS public.normalization_models (
+  id          text        PRIMARY KEY,            -- "itra-f-qm-20250601-1a2b3c4d"
+  kind        text        NOT NULL CHECK (kind IN ('builtin', 'quantile', 'none')),
+  role        text        NOT NULL DEFAULT 'female' CHECK (role IN ('female', 'conversion')),
+  score_type  text        NOT NULL DEFAULT 'itra' CHECK (score_type IN ('itra', 'utmb')),
+  params      jsonb       NOT NULL DEFAULT '{}',  -- { "knots": [[f, m], …] } for 'quantile'
+  fitted_on   jsonb,                              -- { "editions": …, "female": …, "male": … }
+  active      boolean     NOT NULL DEFAULT false,
+  created_at  timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS normalization_models_active_idx
+  ON public.normalization_models (score_type, role) WHERE active;
+
 -- ── Indexes ────────────────────────────────────────────────────────────────────
 
 CREATE INDEX IF NOT EXISTS results_edition_id_idx        ON public.results (edition_id);
 CREATE INDEX IF NOT EXISTS results_edition_id_gender_idx ON public.results (edition_id, gender);
 
+-- Runner lookup (Runners tab): case-insensitive exact match and substring search.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS results_runner_lower_idx ON public.results (lower(runner));
+CREATE INDEX IF NOT EXISTS results_runner_trgm_idx  ON public.results USING gin (runner gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS results_runner_id_idx    ON public.results (runner_id);
+CREATE INDEX IF NOT EXISTS results_runner_fuzzy_idx ON public.results (edition_id) WHERE runner_match = 'fuzzy';
+CREATE INDEX IF NOT EXISTS runners_name_key_idx      ON public.runners (name_key);
+CREATE INDEX IF NOT EXISTS runners_name_key_trgm_idx ON public.runners USING gin (name_key gin_trgm_ops);
+
 -- ── Row-Level Security ─────────────────────────────────────────────────────────
 
 ALTER TABLE public.races    ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.editions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.results  ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.edition_metrics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.normalization_models ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.runners  ENABLE ROW LEVEL SECURITY;
 
 -- Public read (anon key)
 CREATE POLICY "public read" ON public.races    FOR SELECT USING (true);
 CREATE POLICY "public read" ON public.editions FOR SELECT USING (true);
 CREATE POLICY "public read" ON public.results  FOR SELECT USING (true);
+CREATE POLICY "public read" ON public.edition_metrics FOR SELECT USING (true);
+CREATE POLICY "public read" ON public.normalization_models FOR SELECT USING (true);
+CREATE POLICY "public read" ON public.runners  FOR SELECT USING (true);
 
 -- SECURITY DEFINER helper: checks admins table as function owner (bypasses admins RLS)
 CREATE OR REPLACE FUNCTION public.is_admin()
@@ -74,3 +181,133 @@ CREATE POLICY "admin write" ON public.editions FOR ALL
 CREATE POLICY "admin write" ON public.results  FOR ALL
   USING      (auth.uid() IS NOT NULL AND public.is_admin())
   WITH CHECK (auth.uid() IS NOT NULL AND public.is_admin());
+CREATE POLICY "admin write" ON public.edition_metrics FOR ALL
+  USING      (auth.uid() IS NOT NULL AND public.is_admin())
+  WITH CHECK (auth.uid() IS NOT NULL AND public.is_admin());
+CREATE POLICY "admin write" ON public.normalization_models FOR ALL
+  USING      (auth.uid() IS NOT NULL AND public.is_admin())
+  WITH CHECK (auth.uid() IS NOT NULL AND public.is_admin());
+CREATE POLICY "admin write" ON public.runners  FOR ALL
+  USING      (auth.uid() IS NOT NULL AND public.is_admin())
+  WITH CHECK (auth.uid() IS NOT NULL AND public.is_admin());
+
+-- ── RCI summary ────────────────────────────────────────────────────────────────
+-- RCI_N = mean(top N) − stddev_pop(top N) over the first N finishers of each gender,
+-- ranked by overall rank. Mirrors rciFromResults() in app.js (limitByRank = false):
+-- a field with fewer than N finishers uses all of them.
+-- Gini is computed over the whole field of that gender (values sorted ascending):
+-- G = 2·Σ(i·x_i) / (n·Σx) − (n + 1) / n, matching gini() in app.js.
+-- AUC = Σ index over the first auc_rank finishers / (auc_rank × 1000), matching
+-- aucFromResults() and MAX_INDEX_FOR_NORM in app.js.
+-- Called by the public site through supabase.rpc("edition_rci", …) so the RCI table
+-- needs one round trip instead of downloading every finisher list.
+
+-- Same quadratic as normalizeItraFemaleIndex() in app.js. Only the built-in ITRA curve
+-- is available here, applied to results whose effective score type is 'itra'; UTMB Index
+-- rows are left as-is. With a fitted model or a conversion active the site computes
+-- summaries client-side.
+CREATE OR REPLACE FUNCTION public.normalize_itra_female_index(score numeric)
+RETURNS double precision LANGUAGE sql IMMUTABLE AS $$
+  SELECT ((-0.000466 * score) + 1.532) * score;
+$$;
+
+-- Dropped first: CREATE OR REPLACE cannot change the returned columns.
+DROP FUNCTION IF EXISTS public.edition_rci(text[], boolean);
+DROP FUNCTION IF EXISTS public.edition_rci(text[], boolean, int);
+CREATE FUNCTION public.edition_rci(
+  edition_ids      text[]  DEFAULT NULL,   -- NULL = every non-projected edition
+  normalize_female boolean DEFAULT true,
+  auc_rank         int     DEFAULT 50
+)
+RETURNS TABLE (
+  edition_id text,
+  gender     text,
+  finishers  int,
+  rc3        double precision,
+  rc5        double precision,
+  rc10       double precision,
+  rc20       double precision,
+  gini       double precision,
+  auc        double precision
+)
+LANGUAGE sql STABLE SET search_path = public AS $$
+  WITH ranked AS (
+    SELECT r.edition_id,
+           r.gender,
+           CASE WHEN r.gender = 'F' AND normalize_female
+                     AND coalesce(r.score_type, e.score_type) = 'itra'
+                THEN public.normalize_itra_female_index(r.index)
+                ELSE r.index::double precision END AS v,
+           row_number() OVER (PARTITION BY r.edition_id, r.gender ORDER BY r.rank, r.id) AS pos
+    FROM public.results r
+    JOIN public.editions e ON e.id = r.edition_id
+    WHERE r.gender IN ('M', 'F')
+      AND r.rank >= 1
+      -- Start lists (projected editions) only show up when asked for by id.
+      AND (edition_ids IS NULL AND NOT e.projected OR r.edition_id = ANY (edition_ids))
+  ),
+  ordered AS (
+    SELECT ranked.*,
+           row_number() OVER (PARTITION BY edition_id, gender ORDER BY v) AS asc_pos
+    FROM ranked
+  )
+  SELECT edition_id,
+         gender,
+         count(*)::int,
+         avg(v) FILTER (WHERE pos <= 3)  - stddev_pop(v) FILTER (WHERE pos <= 3),
+         avg(v) FILTER (WHERE pos <= 5)  - stddev_pop(v) FILTER (WHERE pos <= 5),
+         avg(v) FILTER (WHERE pos <= 10) - stddev_pop(v) FILTER (WHERE pos <= 10),
+         avg(v) FILTER (WHERE pos <= 20) - stddev_pop(v) FILTER (WHERE pos <= 20),
+         CASE WHEN sum(v) > 0
+              THEN 2 * sum(asc_pos * v) / (count(*) * sum(v)) - (count(*) + 1)::double precision / count(*)
+         END,
+         coalesce(sum(greatest(v, 0)) FILTER (WHERE pos <= auc_rank), 0) / (auc_rank * 1000.0)
+  FROM ordered
+  GROUP BY edition_id, gender;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.edition_rci(text[], boolean, int) TO anon, authenticated;
+
+-- Runner search for the Runners tab: names containing `query` (case-insensitive),
+-- most finishes first. % and _ in the query are matched literally. Results linked to
+-- a runner are counted under that runner, whatever spelling matched. Projected editions
+-- (start lists) hold registrants, not finishes, and are left out.
+DROP FUNCTION IF EXISTS public.search_runners(text, int);
+CREATE FUNCTION public.search_runners(query text, max_rows int DEFAULT 20)
+RETURNS TABLE (runner text, nationality text, finishes int, runner_id bigint)
+LANGUAGE sql STABLE SET search_path = public AS $$
+  WITH hits AS (
+    SELECT DISTINCT r.runner_id, CASE WHEN r.runner_id IS NULL THEN r.runner END AS unlinked
+    FROM public.results r
+    JOIN public.editions e ON e.id = r.edition_id
+    WHERE NOT e.projected
+      AND r.runner ILIKE '%' || replace(replace(replace(query, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+  )
+  SELECT coalesce(max(ru.canonical_name), h.unlinked),
+         coalesce(max(ru.nationality), max(r.nationality)),
+         count(r.id)::int,
+         h.runner_id
+  FROM hits h
+  JOIN public.results r ON r.runner_id = h.runner_id OR (r.runner = h.unlinked AND r.runner_id IS NULL)
+  JOIN public.editions e ON e.id = r.edition_id AND NOT e.projected
+  LEFT JOIN public.runners ru ON ru.id = h.runner_id
+  GROUP BY h.runner_id, h.unlinked
+  ORDER BY count(r.id) DESC, 1
+  LIMIT max_rows;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_runners(text, int) TO anon, authenticated;
+
+-- Candidate runners for the import's fuzzy matching: for each name_key, the runners
+-- whose name_key is trigram-similar (pg_trgm similarity ≥ min_similarity). The final
+-- decision (exact / fuzzy / new) is made in app.js by matchRunner().
+CREATE OR REPLACE FUNCTION public.runner_candidates(keys text[], min_similarity real DEFAULT 0.45)
+RETURNS TABLE (key text, runner_id bigint, canonical_name text, name_key text, nationality text, similarity real)
+LANGUAGE sql STABLE SET search_path = public AS $$
+  SELECT k.key, ru.id, ru.canonical_name, ru.name_key, ru.nationality, similarity(ru.name_key, k.key)
+  FROM unnest(keys) AS k(key)
+  JOIN public.runners ru ON ru.name_key % k.key OR ru.name_key = k.key
+  WHERE similarity(ru.name_key, k.key) >= min_similarity;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.runner_candidates(text[], real) TO authenticated;
@@ -5,7 +5,7 @@ Each sheet = one course (results table).
 Expected columns (common exports):
   - Unnamed: 0   (rank)  OR Rank/#/Pos/Place
   - Runner       (name)  OR Athlete/Name
-  - Race Score / UTMB Index / ITRA Score / Score / Index
+  - Race Score / UTMB Index / ITRA Score / Score / Index  (a "UTMB Index" column sets meta.score_type = "utmb")
 Optional:
   - Gender
   - Nationality
@@ -14,6 +14,7 @@ Sheet name format examples:
   WS2025, UTMB2024, SZ2023, LEADVILLE2025, ...
 """
 
+import hashlib
 import json
 import re
 import sys
@@ -96,6 +97,9 @@ def main():
             print(f"Skip sheet {sheet}: no score column")
             continue
 
+        # UTMB Index and ITRA scores are different scales; the app keeps them apart.
+        score_type = "utmb" if "utmb" in str(colmap["index"]).strip().lower() else "itra"
+
         m = re.match(r"([A-Za-z]+)(\d{4})", sheet)
         code = m.group(1).upper() if m else sheet.upper()
         year = int(m.group(2)) if m else None
@@ -106,6 +110,7 @@ def main():
             "series": code,
             "country": None,
             "data_source": "ITRA",
+            "score_type": score_type,
             "year": year,
             "distance_km": None,
             "elevation_m": None,
@@ -135,8 +140,9 @@ def main():
         results = results[:300]
 
         course_obj = {"meta": meta, "results": results}
+        course_text = json.dumps(course_obj, ensure_ascii=False, indent=2)
         (out_root / "data" / "courses" / f"{sheet}.json").write_text(
-            json.dumps(course_obj, ensure_ascii=False, indent=2),
+            course_text,
             encoding="utf-8"
         )
 
@@ -147,11 +153,16 @@ def main():
             "series": meta["series"],
             "country": meta["country"],
             "data_source": meta["data_source"],
-            "path": f"data/courses/{sheet}.json"
+            "path": f"data/courses/{sheet}.json",
+            # Content hash: the app keeps a course in its local cache until this changes.
+            "version": hashlib.sha1(course_text.encode("utf-8")).hexdigest()[:12]
         })
 
+    index_version = hashlib.sha1(
+        "".join(c["version"] for c in courses_index).encode("utf-8")
+    ).hexdigest()[:12]
     (out_root / "data" / "courses_index.json").write_text(
-        json.dumps({"courses": courses_index}, ensure_ascii=False, indent=2),
+        json.dumps({"version": index_version, "courses": courses_index}, ensure_ascii=False, indent=2),
         encoding="utf-8"
     )
     print(f"Wrote {len(courses_index)} courses.")
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+// Regression checks for the field-strength metrics in app.js: RCI (mean and median
+// formulas, trimmed top), Gini, AUC and the quantile fit behind normalization and
+// conversion models. Inputs are small fixed fields whose expected values are worked
+// out by hand in the comments. app.js is loaded as in check_pasted_results.js.
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const appPath = path.resolve(__dirname, "..", "app.js");
+
+function loadApp() {
+  const noop = () => {};
+  const context = {
+    console, URL, URLSearchParams,
+    location: { pathname: "/admin/", search: "", hash: "" },
+    document: { getElementById: () => null, querySelectorAll: () => [], addEventListener: noop, documentElement: { dataset: {} } },
+    localStorage: { getItem: () => null, setItem: noop },
+    navigator: { language: "en" },
+    fetch: () => new Promise(noop),
+    addEventListener: noop
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(appPath, "utf8"), context, { filename: appPath });
+  return context;
+}
+
+// Values built inside the vm context have that context's prototypes.
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+}
+
+function main() {
+  const app = loadApp();
+  // Top-level consts are not properties of the context's global object.
+  const constant = name => vm.runInContext(name, app);
+
+  // Five finishers, 900 → 500 by 100. Top 3 = 900, 800, 700: mean 800, σ = √(20000/3),
+  // median 800, MAD = 1.4826 × median(100, 0, 100) = 148.26.
+  const field = [900, 800, 700, 600, 500].map((index, i) => ({ rank: i + 1, index }));
+  const sigma = Math.sqrt(20000 / 3);
+  const formula = overrides => ({ ...plain(constant("DEFAULT_RCI_FORMULA")), ...overrides });
+  assertClose(app.rciFromResults(field, 3), 800 - sigma, "RCI3 mean − σ");
+  assertClose(app.rciFromResults(field, 3, true, formula({ k: 0.5 })), 800 - 0.5 * sigma, "RCI3 mean − 0.5σ");
+  assertClose(app.rciFromResults(field, 3, true, formula({ center: "median" })), 800 - 148.26, "RCI3 median − MAD");
+  // Trimmed: ranks 2–4 = 800, 700, 600.
+  assertClose(app.rciFromResults(field, 3, true, formula({ trimTop: true })), 700 - sigma, "RCI3 mean, trimmed");
+  assertClose(app.rciFromResults(field, 3, true, formula({ center: "median", trimTop: true })), 700 - 148.26, "RCI3 median, trimmed");
+  // Even count: median(900, 800, 700, 600) = 750, MAD = 1.4826 × median(150, 50, 50, 150) = 148.26.
+  assertClose(app.rciFromResults(field, 4, true, formula({ center: "median" })), 750 - 148.26, "RCI4 median − MAD");
+  // limitByRank keeps ranks ≤ N only: with rank 2 missing, RCI3 is over 900 and 700.
+  // Without it, the first 3 finishers are 900, 700, 600: mean 2200/3, σ = √(140000/9).
+  const gapped = field.filter(r => r.rank !== 2);
+  assertClose(app.rciFromResults(gapped, 3), 800 - 100, "RCI3 with a missing rank");
+  assertClose(app.rciFromResults(gapped, 3, false), 2200 / 3 - Math.sqrt(140000 / 9), "RCI3 over the first 3 finishers");
+  assert.ok(Number.isNaN(app.rciFromResults([], 3)), "RCI of an empty field is NaN");
+
+  // Gini: 2·Σ(i·x_i) / (n·Σx) − (n + 1) / n over ascending values.
+  assertClose(app.gini([5, 5, 5, 5]), 0, "Gini of equal values");
+  assertClose(app.gini([4, 1, 3, 2]), 60 / 40 - 5 / 4, "Gini of 1..4");
+  assertClose(app.gini([0, 0, 0, 10]), 80 / 40 - 5 / 4, "Gini of one non-zero value");
+  assert.ok(Number.isNaN(app.gini([])), "Gini of no values is NaN");
+
+  // AUC: Σ index over ranks 1..maxRank / (maxRank × MAX_INDEX_FOR_NORM).
+  assert.strictEqual(constant("MAX_INDEX_FOR_NORM"), 1000);
+  assertClose(app.aucFromResults(field, 50), 3500 / 50000, "AUC50 of five finishers");
+  assertClose(app.aucFromResults(field, 5), 3500 / 5000, "AUC5 of five finishers");
+  assertClose(app.aucFromResults(field, 3), 2400 / 3000, "AUC3 stops at rank 3");
+  const full = Array.from({ length: 50 }, (_, i) => ({ rank: i + 1, index: constant("MAX_INDEX_FOR_NORM") }));
+  assertClose(app.aucFromResults(full, 50), 1, "AUC50 of a field at MAX_INDEX_FOR_NORM");
+  assertClose(app.aucFromResults([{ rank: 1, index: 500 }, { rank: 2, index: -100 }], 2), 0.25, "negative index counts as 0");
+
+  // Built-in ITRA women's curve: (−0.000466 × 500 + 1.532) × 500.
+  assertClose(app.normalizeItraFemaleIndex(500), 649.5, "ITRA female quadratic");
+
+  // Quantile fit: 1..200 onto 2..400. Every quantile maps to twice its value, so each
+  // knot is [x, 2x] (rounded to 0.01) and interpolation doubles anything inside the range.
+  const from = Array.from({ length: 200 }, (_, i) => i + 1);
+  const knots = plain(app.fitQuantileMap(from, from.map(x => 2 * x)));
+  assert.strictEqual(knots.length, constant("NORMALIZATION_QUANTILES.length"));
+  assert.deepStrictEqual(knots[0], [2.99, 5.98]);
+  assert.deepStrictEqual(knots[knots.length - 1], [199.8, 399.6]);
+  // x and y are rounded separately, so y may be off 2x by up to 0.01 (x = 181.095 → 181.09, y → 362.19).
+  for (const [x, y] of knots) assert.ok(Math.abs(y - 2 * x) <= 0.0100001, `knot [${x}, ${y}] is not [x, 2x]`);
+  assertClose(app.interpolateKnots(knots, 100), 200, "fitted map at 100");
+  assertClose(app.applyConversion(150, { params: { male: knots } }, "male"), 300, "conversion through the fitted knots");
+  // Outside the fitted range the end knot's offset is kept.
+  assertClose(app.interpolateKnots(knots, 1), 1 + (5.98 - 2.99), "below the first knot");
+  assert.throws(() => app.fitQuantileMap(from.slice(0, 99), from), /Not enough finishers/);
+
+  console.log("Metrics: all checks passed");
+}
+
+main();
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 
@@ -7,6 +8,10 @@ const repoRoot = path.resolve(__dirname, "..");
 const coursesDir = path.join(repoRoot, "data", "courses");
 const manifestPath = path.join(repoRoot, "data", "courses_index.json");
 
+function sha1(data) {
+  return crypto.createHash("sha1").update(data).digest("hex").slice(0, 12);
+}
+
 function main() {
   if (!fs.existsSync(coursesDir)) {
     throw new Error(`Missing courses directory: ${coursesDir}`);
@@ -18,14 +23,17 @@ function main() {
     .map(entry => entry.name)
     .sort((a, b) => a.localeCompare(b));
 
+  // Content hashes: the app keeps a course in its local cache until its version changes.
   const courses = files.map(fileName => ({
     race_id: path.basename(fileName, ".json"),
-    path: `data/courses/${fileName}`
+    path: `data/courses/${fileName}`,
+    version: sha1(fs.readFileSync(path.join(coursesDir, fileName)))
   }));
+  const version = sha1(courses.map(c => c.version).join(""));
 
   fs.writeFileSync(
     manifestPath,
-    `${JSON.stringify({ courses }, null, 2)}\n`,
+    `${JSON.stringify({ version, courses }, null, 2)}\n`,
     "utf8"
   );
 